@@ -1,517 +1,957 @@
-// background.js
-// Periodically polls platforms for live channels and writes short "live" lists to browser.storage.local.streamtime_live
-// Note: This file uses Fetch and browser.alarms for reliable periodic execution in a Service Worker.
-
-// --- Configuration Constants ---
-const POLL_INTERVAL_SECONDS = 60; // Main data poll (1 minute)
-const NOTIFICATION_CHECK_SECONDS = 5 * 60; // Notification checks (5 minutes)
-const TWITCH_REFRESH_INTERVAL_SECONDS = 3.5 * 60 * 60; // Twitch token refresh (3.5 hours)
-const KICK_REFRESH_INTERVAL_SECONDS = 3.5 * 60 * 60; // Kick token refresh (3.5 hours)
-
-// Kick's OAuth and API endpoints
-const KICK_TOKEN_URL = "https://id.kick.com/oauth/token"; 
-// Kick stream check is already correctly set to https://api.kick.com/public/v1/channels
-
-// --- Cookie Helper Functions (NEW) ---
-
-async function setAccessTokenCookie(url, name, value, days = 7){
-    const expires = Math.floor(Date.now()/1000) + days*24*60*60;
-    await browser.cookies.set({
-        url,
-        name,
-        value: value || '',
-        path: '/',
-        secure: true,
-        sameSite: 'lax', // Fix for "Invalid enumeration value "Lax""
-        expirationDate: expires
-    });
-}
-
-async function getAccessTokenCookie(url, name){
-    const cookie = await browser.cookies.get({ url, name });
-    return cookie?.value || '';
-}
-
-// --- Global Utilities ---
-
-/**
- * Loads the main settings object from browser storage and merges in access tokens from cookies. (MODIFIED)
- * @returns {Promise<object>} The full settings object (e.g., {twitch: {...}, kick: {...}}).
- */
-async function loadSettings(){
-    const st = (await browser.storage.local.get('streamtime'))?.streamtime || {};
-
-    // Load Twitch access token from cookie
-    st.twitch = st.twitch || {};
-    st.twitch.accessToken = await getAccessTokenCookie('https://api.twitch.tv/', 'twitch_access_token');
-
-    // Load Kick access token from cookie
-    st.kick = st.kick || {};
-    st.kick.accessToken = await getAccessTokenCookie('https://kick.com/', 'kick_access_token');
-
-    return st;
-}
-
-function nowIso(){ return new Date().toISOString(); }
-
-/**
- * Calculates the uptime string (e.g., "1h 30m").
- * @param {string} startedAtIso - ISO timestamp of when the stream started.
- * @returns {string} Formatted uptime.
- */
-function computeUptime(startedAtIso){
-    try{
-        const start = new Date(startedAtIso);
-        const diff = Math.max(0, Date.now() - start.getTime());
-        const s = Math.floor(diff/1000);
-        const h = Math.floor(s/3600); 
-        const m = Math.floor((s%3600)/60);
-        if(h>0) return `${h}h ${m}m`;
-        return `${m}m`;
-    }catch(e){
-        return '';
-    }
-}
-
-// --- Platform Check Functions ---
-
-async function checkTwitch(twitchSettings){
-    if(!twitchSettings || !twitchSettings.clientId || !twitchSettings.accessToken || !twitchSettings.channels) return [];
-    const ids = twitchSettings.channels.map(c => c.id || c.user_id || c.broadcaster_id).filter(Boolean);
-    if(!ids.length) return [];
-    try {
-        const url = 'https://api.twitch.tv/helix/streams?' + ids.map(i=>'user_id='+encodeURIComponent(i)).join('&');
-        const res = await fetch(url, {
-            headers: {
-                'Client-ID': twitchSettings.clientId,
-                'Authorization': 'Bearer ' + twitchSettings.accessToken
-            }
-        });
-
-        // --- lazy refresh logic ---
-        if(res.status === 401 || res.status === 403) {
-            console.warn('[Twitch] Access token expired, refreshing...');
-            const newToken = await refreshTwitchToken(
-                twitchSettings.clientId,
-                twitchSettings.clientSecret,
-                twitchSettings.refreshToken
-            );
-            if (newToken) {
-                // Since loadSettings pulls from cookie, we need to manually update the setting for the retry
-                twitchSettings.accessToken = newToken; 
-                // retry once
-                return await checkTwitch(twitchSettings);
-            } else {
-                console.error('[Twitch] Token refresh failed, skipping.');
-                return [];
-            }
-        }
-
-        if(!res.ok) {
-            console.warn('Twitch streams fetch failed', res.status);
-            return [];
-        }
-
-        const j = await res.json();
-        return j.data.map(s => ({
-            user_id: s.user_id,
-            user_login: s.user_login,
-            display_name: s.user_name,
-            title: s.title,
-            game: s.game_name,
-            viewers: s.viewer_count,
-            started_at: s.started_at,
-            uptime: computeUptime(s.started_at),
-            url: 'https://twitch.tv/' + s.user_login
-        }));
-    } catch(e) {
-        console.error('Twitch check error', e);
-        return [];
-    }
-}
-
-
-async function checkKick(kickSettings) {
-    if (!kickSettings || !kickSettings.channels) return [];
-
-    const ids = kickSettings.channels.map(c => c.id || c.broadcaster_user_id).filter(Boolean);
-    if (!ids.length) return [];
-
-    // Endpoint: https://api.kick.com/public/v1/channels
-    const url = new URL("https://api.kick.com/public/v1/channels");
-    
-    // FIX: Use append to add multiple 'broadcaster_user_id' parameters
-    // This creates ?broadcaster_user_id=123&broadcaster_user_id=456
-    ids.forEach(id => url.searchParams.append("broadcaster_user_id", id));
-
-    const headers = { "Accept": "application/json" };
-    if (kickSettings.accessToken) headers.Authorization = 'Bearer ' + kickSettings.accessToken;
-
-    try {
-        const res = await fetch(url, { headers });
-
-        // --- lazy refresh logic ---
-        if (res.status === 401 || res.status === 403) {
-            console.warn('[Kick] Access token expired, refreshing...');
-            const newToken = await refreshKickToken(
-                kickSettings.clientId,
-                kickSettings.clientSecret,
-                kickSettings.refreshToken
-            );
-            if (newToken) {
-                // Since loadSettings pulls from cookie, we need to manually update the setting for the retry
-                kickSettings.accessToken = newToken;
-                return await checkKick(kickSettings); // retry once
-            } else {
-                console.error('[Kick] Token refresh failed, skipping.');
-                return [];
-            }
-        }
-
-        if (!res.ok) {
-            console.warn(`Kick API error ${res.status}: ${res.statusText}`);
-            return [];
-        }
-
-        const json = await res.json();
-        const channels = json.data || [];
-
-        return channels.filter(ch => ch.stream && ch.stream.is_live)
-            .map(ch => ({
-                id: ch.broadcaster_user_id,
-                slug: ch.slug,
-                title: ch.stream_title || `Live on ${ch.slug}`,
-                game: ch.category?.name || "Unknown",
-                viewers: ch.stream.viewer_count || 0,
-                started_at: ch.stream.start_time || null,
-                uptime: ch.stream.start_time ? computeUptime(ch.stream.start_time) : "",
-                url: `https://kick.com/${ch.slug}`,
-            }));
-    } catch (e) {
-        console.error("Kick check error:", e);
-        return [];
-    }
-}
-
-
-async function checkYouTube(ytSettings){
-    // ... (YouTube logic remains the same)
-    if(!ytSettings || !ytSettings.channels || !ytSettings.clientId) return [];
-    const apiKey = ytSettings.clientId;
-    const out = [];
-    for(const ch of ytSettings.channels){
-        const channelId = ch.id || ch.channelId || ch;
-        if(!channelId) continue;
-        try{
-            // Use search endpoint to find any live broadcast for the channel
-            const url = 'https://www.googleapis.com/youtube/v3/search?part=snippet&channelId=' + encodeURIComponent(channelId) + '&type=video&eventType=live&key=' + encodeURIComponent(apiKey);
-            const r = await fetch(url);
-            if(!r.ok){
-                console.warn('YouTube search failed', r.status);
-                continue;
-            }
-            const j = await r.json();
-            if(j.items && j.items.length){
-                // the first live video is the stream
-                const v = j.items[0];
-                out.push({
-                    channelId: channelId,
-                    title: v.snippet.title,
-                    url: 'https://www.youtube.com/watch?v=' + v.id.videoId,
-                    started_at: v.snippet.publishedAt,
-                    duration: v.snippet.publishedAt ? computeUptime(v.snippet.publishedAt) : ''
-                });
-            }
-        }catch(e){
-            console.error('YouTube check error', e);
-        }
-    }
-    return out;
-}
-
-// --- Main Polling Function ---
-async function mergeSettings(newData) {
-    const current = (await browser.storage.local.get('streamtime')).streamtime || {};
-    const merged = structuredClone(current);
-
-    for (const key of Object.keys(newData)) {
-        merged[key] = Object.assign(merged[key] || {}, newData[key]);
-    }
-
-    await browser.storage.local.set({ streamtime: merged });
-    return merged;
-}
-
-async function pollAll(){
-    console.log("[Alarm: Main Poll] Starting poll...");
-    // loadSettings now gets access tokens from cookies
-    const settings = await loadSettings(); 
-    const live = { twitch: [], kick: [], youtube: [] };
-
-    try{
-        live.twitch = await checkTwitch(settings.twitch || {});
-    }catch(e){ console.error(e); }
-    try{
-        live.kick = await checkKick(settings.kick || {});
-    }catch(e){ console.error(e); }
-    try{
-        live.youtube = await checkYouTube(settings.youtube || {});
-    }catch(e){ console.error(e); }
-
-    // write to storage
-    await browser.storage.local.set({ streamtime_live: live });
-    // also keep a timestamp
-    await browser.storage.local.set({ streamtime_last_poll: nowIso() });
-    console.log("[Alarm: Main Poll] Poll complete. Live channels:", 
-        live.twitch.length + live.kick.length + live.youtube.length);
-}
-
-// --- Notification Check Function (Retained for completeness) ---
-
-let previousLiveChannels = new Set();
-
-async function checkLiveChannels() {
-    console.log("[Alarm: Notification] Checking for new live streams...");
-    const data = await browser.storage.local.get();
-    const liveData = data.streamtime_live || {};
-
-    // Combine all currently live IDs across platforms
-    const currentLiveIds = new Set([
-        ...(liveData.twitch || []).map(s => `twitch-${s.user_id}`),
-        ...(liveData.kick || []).map(s => `kick-${s.id}`),
-        ...(liveData.youtube || []).map(s => `yt-${s.channelId}`)
-    ]);
-
-    // --- TWITCH notifications ---
-    for (const stream of liveData.twitch || []) {
-        const id = `twitch-${stream.user_id}`;
-        if (!previousLiveChannels.has(id)) {
-            browser.notifications.create(id, {
-                type: "basic",
-                iconUrl: "icon-48.png",
-                title: `${stream.display_name} is live on Twitch!`,
-                message: stream.title
-            });
-        }
-    }
-
-    // --- KICK notifications ---
-    for (const stream of liveData.kick || []) {
-        const id = `kick-${stream.id}`;
-        if (!previousLiveChannels.has(id)) {
-            browser.notifications.create(id, {
-                type: "basic",
-                iconUrl: "icon-48.png",
-                title: `${stream.slug} is live on Kick!`,
-                message: stream.title
-            });
-        }
-    }
-
-    // --- YOUTUBE notifications (optional) ---
-    for (const stream of liveData.youtube || []) {
-        const id = `yt-${stream.channelId}`;
-        if (!previousLiveChannels.has(id)) {
-            browser.notifications.create(id, {
-                type: "basic",
-                iconUrl: "icon-48.png",
-                title: `YouTube Live: ${stream.title}`,
-                message: "A subscribed channel just went live!"
-            });
-        }
-    }
-
-    // Save this poll’s channels for next comparison
-    previousLiveChannels = currentLiveIds;
-    console.log("[Alarm: Notification] Notification check complete.");
-}
-
-
-// --- Token Refresh Logic ---
-
-async function refreshTwitchToken(clientId, clientSecret, refreshToken) {
-    console.log("[Alarm: Token Refresh] Attempting to refresh Twitch token...");
-    try {
-        const response = await fetch("https://id.twitch.tv/oauth2/token", {
-            method: "POST",
-            headers: { "Content-Type": "application/x-www-form-urlencoded" },
-            body: new URLSearchParams({
-                grant_type: "refresh_token",
-                refresh_token: refreshToken,
-                client_id: clientId,
-                client_secret: clientSecret
-            })
-        });
-
-        if (!response.ok) {
-            console.error(`[Twitch] Token refresh failed with status ${response.status}: ${response.statusText}`);
-            return null;
-        }
-
-        const data = await response.json();
-
-        if (data.access_token) {
-            console.log("[Twitch] Access token refreshed successfully.");
-            
-            // 1. Save new ACCESS TOKEN to COOKIE (NEW)
-            await setAccessTokenCookie('https://api.twitch.tv/', 'twitch_access_token', data.access_token);
-
-            // 2. Save new REFRESH TOKEN (only) to STORAGE.LOCAL (MODIFIED)
-            await mergeSettings({
-                twitch: {
-                    refreshToken: data.refresh_token || refreshToken
-                }
-            });
-
-            return data.access_token;
-        } else {
-            console.error("[Twitch] Failed to refresh token:", data);
-            return null;
-        }
-    } catch (err) {
-        console.error("[Twitch] Refresh token error:", err);
-        return null;
-    }
-}
-
-async function refreshKickToken(clientId, clientSecret, refreshToken) {
-    if (!clientId || !clientSecret || !refreshToken) {
-        console.warn("[Kick] Missing credentials for token refresh. Skipping.");
-        return null;
-    }
-    
-    // Debug logging for troubleshooting 401 errors
-    console.log(`[Kick Token Refresh Debug] Preparing request to: ${KICK_TOKEN_URL}`);
-    console.log(`[Kick Token Refresh Debug] Client ID (start): ${clientId.substring(0, 8)}...`);
-    console.log(`[Kick Token Refresh Debug] Refresh Token (end): ...${refreshToken.substring(refreshToken.length - 8)}`);
-    
-    try {
-        // Endpoint: https://id.kick.com/oauth/token (Correct)
-        const response = await fetch(KICK_TOKEN_URL, {
-            method: "POST",
-            headers: { "Content-Type": "application/x-www-form-urlencoded" },
-            body: new URLSearchParams({
-                grant_type: "refresh_token",
-                refresh_token: refreshToken,
-                client_id: clientId,
-                client_secret: clientSecret
-            })
-        });
-
-        // IMPORTANT: Check status before parsing JSON
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`[Kick] Token refresh failed with status ${response.status}: ${errorText}`);
-            return null;
-        }
-
-        const data = await response.json();
-
-        if (data.access_token) {
-            console.log("[Kick] Access token refreshed successfully.");
-            
-            // 1. Save new ACCESS TOKEN to COOKIE (NEW)
-            await setAccessTokenCookie('https://kick.com/', 'kick_access_token', data.access_token);
-            
-            // 2. Save new REFRESH TOKEN (only) to STORAGE.LOCAL (MODIFIED)
-            await mergeSettings({
-                kick: {
-                    refreshToken: data.refresh_token || refreshToken
-                }
-            });
-            return data.access_token;
-        } else {
-            console.error("[Kick] Failed to refresh token (unexpected response structure):", data);
-            return null;
-        }
-    } catch (err) {
-        console.error("[Kick] Refresh token error:", err);
-        return null;
-    }
-}
-
-// --- ALARM INITIALIZATION LOGIC ---
-
-async function initAlarms() {
-    console.log("Checking and setting up periodic alarms.");
-    
-    // Check if the main poll alarm already exists
-    const mainAlarm = await browser.alarms.get('streamtime-main-poll');
-
-    if (!mainAlarm) {
-        console.log("Alarms not found. Initializing and running first poll...");
-        
-        // Define Alarms
-        browser.alarms.create('streamtime-main-poll', { periodInMinutes: POLL_INTERVAL_SECONDS / 60 });
-        browser.alarms.create('streamtime-notification-check', { periodInMinutes: NOTIFICATION_CHECK_SECONDS / 60 });
-        browser.alarms.create('twitch-token-refresh', { periodInMinutes: TWITCH_REFRESH_INTERVAL_SECONDS / 60 });
-        browser.alarms.create('kick-token-refresh', { periodInMinutes: KICK_REFRESH_INTERVAL_SECONDS / 60 });
-        
-        // --- IMMEDIATE POLLS ---
-        await pollAll();
-        await checkLiveChannels();
-        
-        const settings = await loadSettings();
-
-        // --- Twitch Token Refresh ---
-        const twitchSettings = settings.twitch || {};
-        if (twitchSettings.clientId && twitchSettings.clientSecret && twitchSettings.refreshToken) {
-            // No need to check for accessToken existence, refreshTwitchToken will fetch the accessToken from cookie
-            await refreshTwitchToken(twitchSettings.clientId, twitchSettings.clientSecret, twitchSettings.refreshToken);
-        } else {
-            console.warn("[Twitch] Missing credentials for initial token refresh.");
-        }
-        
-        // --- Kick Token Refresh ---
-        const kickSettings = settings.kick || {}; 
-        if (kickSettings.clientId && kickSettings.clientSecret && kickSettings.refreshToken) {
-            // No need to check for accessToken existence
-            await refreshKickToken(kickSettings.clientId, kickSettings.clientSecret, kickSettings.refreshToken);
-        } else {
-            console.warn("[Kick] Missing credentials for initial token refresh.");
-        }
-    }
-}
-
-// --- ALARM EXECUTION LISTENER ---
-
-browser.alarms.onAlarm.addListener(async (alarm) => {
-    try {
-        if (alarm.name === 'streamtime-main-poll') {
-            await pollAll();
-        } 
-        else if (alarm.name === 'streamtime-notification-check') {
-            await checkLiveChannels();
-        }
-        else if (alarm.name === 'twitch-token-refresh') {
-            // Load credentials from storage/cookies for consistency
-            const settings = await loadSettings();
-            const twitchSettings = settings.twitch || {};
-            await refreshTwitchToken(twitchSettings.clientId, twitchSettings.clientSecret, twitchSettings.refreshToken);
-        }
-        else if (alarm.name === 'kick-token-refresh') {
-            // Load credentials from storage/cookies for consistency
-            const settings = await loadSettings();
-            const kickSettings = settings.kick || {};
-            await refreshKickToken(kickSettings.clientId, kickSettings.clientSecret, kickSettings.refreshToken);
-        }
-    } catch (e) {
-        console.error(`Error handling alarm ${alarm.name}:`, e);
-    }
-});
-
-
-// --- Runtime Message Listener ---
-
-browser.runtime.onMessage.addListener(async (msg) => {
-    if (msg?.action === 'poll_now') {
-        console.log('[StreamTime] Manual poll triggered from options.');
-        await pollAll();
-        return true;
-    }
-});
-
-// --- EXECUTION ON SERVICE WORKER STARTUP ---
-
-
-initAlarms().catch(console.error);
+// background.js
+// Periodically polls platforms for live channels and writes short "live" lists to browser.storage.local.streamtime_live
+// Note: This file uses Fetch and browser.alarms for reliable periodic execution in a Service Worker.
+// Platform specifics live in providers/*.js, which are loaded before this file (see manifest.json).
+
+// --- Configuration Constants ---
+const POLL_INTERVAL_SECONDS = 60; // Main poll tick, and the default interval of every platform
+const POLL_TICK_SLACK_MS = 5 * 1000; // Alarms may fire a little early; checks due this soon run now
+const POLL_BACKOFF_MAX_MINUTES = 30; // Upper bound of the wait after repeated failures
+const POLL_BACKOFF_JITTER = 0.2; // Backoff waits vary by +-20% so platforms do not retry in lockstep
+const OFFLINE_GRACE_POLLS = 1; // A stream missing from this many polls in a row is not yet treated as offline
+const SAME_SESSION_TOLERANCE_MS = 2 * 60 * 1000; // Start times closer than this belong to the same stream
+const HISTORY_PRUNE_INTERVAL_MINUTES = 24 * 60; // Apply history retention limits once a day
+const TOKEN_REFRESH_LEAD_SECONDS = 10 * 60; // Refresh access tokens this long before they expire
+const TOKEN_RECHECK_SECONDS = 60 * 60; // Re-validate tokens whose expiry is unknown (hourly)
+const TOKEN_RETRY_SECONDS = 15 * 60; // Retry after a failed refresh
+const FOLLOWS_SYNC_INTERVAL_MINUTES = 6 * 60; // Re-import followed channels where sync is enabled
+const SCHEDULE_INTERVAL_MINUTES = 30; // Refresh scheduled and upcoming streams
+const SCHEDULE_WINDOW_DAYS = 7; // Keep announced streams starting within this many days
+const SCHEDULE_LATE_MINUTES = 60; // Keep a scheduled stream this long past its start while it has not begun
+
+// --- Cookie Helper Functions ---
+
+// expiresInSeconds comes from the token response; without it the cookie lives for a week
+async function setAccessTokenCookie(url, name, value, expiresInSeconds = 7*24*60*60){
+    const expires = Math.floor(Date.now()/1000) + expiresInSeconds;
+    await browser.cookies.set({
+        url,
+        name,
+        value: value || '',
+        path: '/',
+        secure: true,
+        sameSite: 'lax', // Fix for "Invalid enumeration value "Lax""
+        expirationDate: expires
+    });
+}
+
+async function getAccessTokenCookie(url, name){
+    const cookie = await browser.cookies.get({ url, name });
+    return cookie?.value || '';
+}
+
+async function removeAccessTokenCookie(url, name){
+    await browser.cookies.remove({ url, name });
+}
+
+// --- Global Utilities ---
+
+/**
+ * Loads the main settings object from browser storage and merges in access tokens from cookies,
+ * or, with the vault enabled, the secrets held by the unlocked vault (see vault.js).
+ * @returns {Promise<object>} The full settings object (e.g., {twitch: {...}, kick: {...}}).
+ */
+async function loadSettings(){
+    const st = (await browser.storage.local.get('streamtime'))?.streamtime || {};
+
+    for(const provider of listProviders()){
+        st[provider.id] = st[provider.id] || {};
+        if(provider.tokenCookie){
+            st[provider.id].accessToken = await getAccessTokenCookie(provider.tokenCookie.url, provider.tokenCookie.name);
+        }
+    }
+
+    if (await readVault()) {
+        for (const provider of listProviders()) Object.assign(st[provider.id], getVaultSecrets(provider.id));
+    }
+
+    return st;
+}
+
+function nowIso(){ return new Date().toISOString(); }
+
+// --- Main Polling Function ---
+async function mergeSettings(newData) {
+    const current = (await browser.storage.local.get('streamtime')).streamtime || {};
+    const merged = structuredClone(current);
+
+    for (const key of Object.keys(newData)) {
+        merged[key] = Object.assign(merged[key] || {}, newData[key]);
+    }
+
+    await browser.storage.local.set({ streamtime: merged });
+    return merged;
+}
+
+let pollInFlight = null; // promise of the running poll
+let pollQueued = null; // { force, promise } of the poll waiting for it
+
+/**
+ * Checks the platforms that are due. Every platform has its own interval (streamtime.polling), and
+ * favourite channels may be checked more often than the rest; in between, a favourites-only check
+ * keeps the other channels' last known streams. Failures back off exponentially with jitter, and a
+ * platform asking to wait (Retry-After, rate-limit headers) is not asked before then.
+ * Scheduling state lives in browser.storage.local.streamtime_poll_state:
+ *   <platform>: { nextFullAt, nextFavouritesAt, failures, backoffUntil } (milliseconds since the epoch)
+ * Only one poll runs at a time: calls made meanwhile are merged into a single poll after it, forced
+ * if any of them was, so overlapping runs cannot both see a go-live as new.
+ * @param {boolean} [force] - Check every platform now (channel lists changed), except while backing off.
+ * @returns {Promise<void>} Settles when the poll covering this call has finished.
+ */
+function pollAll(force = false){
+    if (!pollInFlight) {
+        pollInFlight = runPoll(force).finally(() => { pollInFlight = null; });
+        return pollInFlight;
+    }
+    if (pollQueued) {
+        pollQueued.force = pollQueued.force || force;
+    } else {
+        const queued = { force };
+        queued.promise = pollInFlight.catch(() => {}).then(() => {
+            pollQueued = null;
+            return pollAll(queued.force);
+        });
+        pollQueued = queued;
+    }
+    return pollQueued.promise;
+}
+
+/**
+ * Runs task while no poll does: after the running and queued polls have finished, with polls asked
+ * for in the meantime waiting for it.
+ * @param {function(): Promise} task
+ * @returns {Promise} The task's result.
+ */
+async function runBetweenPolls(task){
+    while (pollInFlight) await pollInFlight.catch(() => {});
+    pollInFlight = task().finally(() => { pollInFlight = null; });
+    return pollInFlight;
+}
+
+async function runPoll(force){
+    console.log("[Alarm: Main Poll] Starting poll...");
+    const vault = await vaultStatus();
+    if (vault.enabled && !vault.unlocked) {
+        // without the credentials every platform would look empty; wait for the user to unlock
+        console.log("[Alarm: Main Poll] Vault is locked, skipping poll.");
+        await showLockedBadge();
+        return;
+    }
+    // loadSettings now gets access tokens from cookies
+    const settings = await loadSettings();
+    const stored = await browser.storage.local.get(['streamtime_live', 'streamtime_status', 'streamtime_poll_state']);
+    const previous = stored.streamtime_live || {};
+    const pollState = stored.streamtime_poll_state || {};
+    let status = stored.streamtime_status || {};
+    const live = {};
+    const fresh = [];
+    const notDue = new Set(); // session keys of channels this poll leaves out by schedule
+
+    for(const provider of listProviders()){
+        const platformSettings = settings[provider.id] || {};
+        const state = pollState[provider.id] || {};
+        const now = Date.now();
+        const due = (at) => force || !at || now + POLL_TICK_SLACK_MS >= at;
+        // until checked again, the last known streams of the configured channels stand
+        const configured = new Set((platformSettings.channels || []).map(c => provider.channelKey(c)));
+        live[provider.id] = (previous[provider.id] || []).filter(s => configured.has(s.channelKey));
+        if (state.backoffUntil && now < state.backoffUntil) continue;
+
+        const intervals = pollIntervals(settings, provider.id);
+        const full = due(state.nextFullAt);
+        const favourites = (platformSettings.channels || []).filter(c => c.favourite);
+        const skip = (channels) => channels.forEach(c => notDue.add(`${provider.id}:${provider.channelKey(c)}`));
+        if (!full && (!favourites.length || !due(state.nextFavouritesAt))) {
+            skip(platformSettings.channels || []);
+            continue;
+        }
+        if (!full) skip((platformSettings.channels || []).filter(c => !c.favourite));
+
+        const ctx = { refreshAuth: () => refreshProviderAuth(provider) };
+        let health;
+        let next;
+        // channels whose last known state is replaced by this check's result; a full check replaces
+        // the whole list except the channels of failed batches
+        const checkedKeys = new Set((full ? platformSettings.channels || [] : favourites).map(c => provider.channelKey(c)));
+        const keepUnchecked = (streams, failedKeys = []) => {
+            const failed = new Set(failedKeys.map(String));
+            return streams.concat(live[provider.id].filter(s => !checkedKeys.has(s.channelKey) || failed.has(s.channelKey)));
+        };
+        try{
+            const streams = await provider.check(full ? platformSettings : { ...platformSettings, channels: favourites }, ctx);
+            live[provider.id] = keepUnchecked(streams);
+            fresh.push(...streams);
+            health = { ok: true, lastSuccess: nowIso(), error: null, kind: null };
+            next = {
+                nextFullAt: full ? now + intervals.all : state.nextFullAt,
+                nextFavouritesAt: now + intervals.favourites,
+                failures: 0
+            };
+        }catch(e){
+            console.error(e);
+            health = { ok: false, error: e.message, kind: e.kind || 'network' };
+            if (e.partial) {
+                // some batches failed: use what the others found and keep the failed channels as they were;
+                // the platform answers, so it stays on its normal schedule
+                live[provider.id] = keepUnchecked(e.partial.streams, e.partial.failedKeys);
+                fresh.push(...e.partial.streams);
+                next = {
+                    nextFullAt: full ? now + intervals.all : state.nextFullAt,
+                    nextFavouritesAt: now + intervals.favourites,
+                    failures: 0
+                };
+            } else {
+                const failures = (state.failures || 0) + 1;
+                next = { ...state, failures, backoffUntil: now + backoffDelay(intervals.favourites, failures) };
+            }
+        }
+        status = await recordPollHealth(provider.id, health);
+        const retryAt = status[provider.id].retryAt ? Date.parse(status[provider.id].retryAt) : 0;
+        if (retryAt > Math.max(now, next.backoffUntil || 0)) next.backoffUntil = retryAt;
+        pollState[provider.id] = next;
+    }
+    await browser.storage.local.set({ streamtime_poll_state: pollState });
+
+    // write to storage
+    await browser.storage.local.set({ streamtime_live: live });
+    await updateBadge(live, status, settings);
+    // also keep a timestamp
+    await browser.storage.local.set({ streamtime_last_poll: nowIso() });
+    // fixture streams are not the user's: no last-live times or history in developer mode
+    if (!devModeActive) await recordLastLive(fresh);
+
+    // diff against the previous poll; subscribers (notifications, ...) react straight away. Only the
+    // streams checked now count as seen; the carried-over ones are not known to be live
+    const { started, ended, sessions } = await updateSessions(fresh, notDue);
+    if (!devModeActive) await recordHistory(fresh, sessions, ended);
+    const events = diffStreamEvents(previous, live, { started, ended }, settings.events);
+    await emitStreamEvents(events.concat(await dueReminderEvents(live, settings)), settings);
+    await sendQuietSummary(settings);
+    console.log("[Alarm: Main Poll] Poll complete. Live channels:",
+        Object.values(live).reduce((n, list) => n + list.length, 0));
+}
+
+/**
+ * Keeps the last time each channel was seen live in browser.storage.local.streamtime_last_live
+ * ({ "platform:channelKey": ISO time }) for the options page. Only streams returned by this poll's
+ * checks count; the ones carried over from earlier polls are not known to be live now.
+ */
+async function recordLastLive(streams){
+    const lastLive = (await browser.storage.local.get('streamtime_last_live')).streamtime_last_live || {};
+    const now = nowIso();
+    for (const stream of streams) lastLive[sessionKey(stream)] = now;
+    await browser.storage.local.set({ streamtime_last_live: lastLive });
+}
+
+/**
+ * Poll intervals of one platform from streamtime.polling.<platform> ({ minutes, favouriteMinutes }).
+ * Favourites are never checked less often than the other channels.
+ * @returns {{all: number, favourites: number}} Milliseconds.
+ */
+function pollIntervals(settings, platform){
+    const config = settings.polling?.[platform] || {};
+    const minutes = Number(config.minutes) > 0 ? Number(config.minutes) : POLL_INTERVAL_SECONDS / 60;
+    const favouriteMinutes = Number(config.favouriteMinutes) > 0 ? Math.min(Number(config.favouriteMinutes), minutes) : minutes;
+    return { all: minutes * 60 * 1000, favourites: favouriteMinutes * 60 * 1000 };
+}
+
+// Wait after the n-th failure in a row: the interval, doubled per further failure, capped, with jitter
+function backoffDelay(intervalMs, failures){
+    const base = Math.min(POLL_BACKOFF_MAX_MINUTES * 60 * 1000, intervalMs * 2 ** (failures - 1));
+    return base * (1 - POLL_BACKOFF_JITTER + Math.random() * 2 * POLL_BACKOFF_JITTER);
+}
+
+// --- Platform Health (diagnostics) ---
+// browser.storage.local.streamtime_status.<platform>:
+//   ok, error, kind, lastAttempt, lastSuccess, lastStatus, requests (last poll), requestsToday,
+//   refresh: { at, ok, error }
+
+function localDay(){ return new Date().toLocaleDateString('en-CA'); }
+
+async function updatePlatformStatus(platform, patch){
+    const all = (await browser.storage.local.get('streamtime_status')).streamtime_status || {};
+    all[platform] = Object.assign(all[platform] || {}, patch);
+    await browser.storage.local.set({ streamtime_status: all });
+    return all;
+}
+
+/**
+ * Stores the outcome of one platform check together with the request statistics it produced.
+ * @returns {Promise<object>} The updated status of all platforms.
+ */
+async function recordPollHealth(platform, health){
+    const previous = ((await browser.storage.local.get('streamtime_status')).streamtime_status || {})[platform] || {};
+    const stats = takeProviderRequestStats(platform);
+    const day = localDay();
+    return updatePlatformStatus(platform, {
+        ...health,
+        lastAttempt: nowIso(),
+        lastStatus: stats.lastStatus ?? previous.lastStatus ?? null,
+        requests: stats.requests,
+        requestsToday: (previous.requestsDay === day ? previous.requestsToday || 0 : 0) + stats.requests,
+        requestsDay: day,
+        retryAt: stats.retryAt ? new Date(stats.retryAt).toISOString() : null
+    });
+}
+
+// --- Toolbar Badge ---
+
+const BADGE_COLOR_LIVE = '#2ea043';
+const BADGE_COLOR_ERROR = '#d29922';
+const BADGE_COLOR_LOCKED = '#6e7681';
+
+/**
+ * Shows the number of live channels on the toolbar button, marks failing platforms with "!"
+ * and lists who is live in the tooltip. Only platforms in streamtime.badge.platforms count
+ * (all platforms when unset).
+ */
+async function updateBadge(live, status, settings){
+    const platforms = settings.badge?.platforms || listProviders().map(p => p.id);
+    const streams = platforms.flatMap(id => live[id] || []);
+    const failing = platforms.filter(id => status[id] && !status[id].ok);
+
+    let text = streams.length ? String(streams.length) : '';
+    if (failing.length) text += '!';
+
+    const lines = ['Stream Time'];
+    if (streams.length) {
+        lines.push(`${streams.length} live:`);
+        for (const s of streams) lines.push(`• ${s.displayName} (${getProvider(s.platform)?.label || s.platform})`);
+    } else {
+        lines.push('Nobody is live');
+    }
+    for (const id of failing) {
+        lines.push(`⚠ ${getProvider(id)?.label || id}: ${status[id].error}`);
+    }
+
+    await browser.browserAction.setBadgeText({ text });
+    await browser.browserAction.setBadgeBackgroundColor({ color: failing.length ? BADGE_COLOR_ERROR : BADGE_COLOR_LIVE });
+    await browser.browserAction.setTitle({ title: lines.join('\n') });
+}
+
+async function showLockedBadge(){
+    await browser.browserAction.setBadgeText({ text: 'LOCK' });
+    await browser.browserAction.setBadgeBackgroundColor({ color: BADGE_COLOR_LOCKED });
+    await browser.browserAction.setTitle({ title: 'Stream Time\nCredentials are locked. Open the popup to unlock them.' });
+}
+
+// --- Go-Live Detection ---
+
+function sessionKey(stream){ return `${stream.platform}:${stream.channelKey}`; }
+
+function isSameSession(session, stream){
+    if (!session.startedAt || !stream.startedAt) return true;
+    const diff = Math.abs(new Date(session.startedAt).getTime() - new Date(stream.startedAt).getTime());
+    return isNaN(diff) || diff <= SAME_SESSION_TOLERANCE_MS;
+}
+
+/**
+ * Compares a poll result with the stream sessions persisted in browser.storage.local.streamtime_sessions,
+ * so go-lives are detected once per stream, even across browser restarts and extension reloads.
+ * A channel missing from up to OFFLINE_GRACE_POLLS polls keeps its session, so a single failed
+ * poll does not produce a second go-live when the stream shows up again. Failed checks and platforms
+ * backing off count as missed; channels the poll did not check by schedule keep their session as is.
+ * @param {object[]} streams - Streams returned by this poll's checks (normalized stream records).
+ * @param {Set<string>} [notDue] - sessionKey()s of the channels left out by schedule.
+ * @returns {Promise<{started: object[], ended: object[], sessions: object}>} Streams that went live,
+ *          sessions that ended and the current sessions keyed by sessionKey().
+ */
+async function updateSessions(streams, notDue = new Set()){
+    const sessions = (await browser.storage.local.get('streamtime_sessions')).streamtime_sessions || {};
+    const seen = new Set();
+    const started = [];
+    const ended = [];
+    const now = nowIso();
+
+    for (const stream of streams) {
+        const key = sessionKey(stream);
+        seen.add(key);
+        const session = sessions[key];
+        if (!session || !isSameSession(session, stream)) {
+            if (session) ended.push(session);
+            started.push(stream);
+        }
+        const startedAt = stream.startedAt || session?.startedAt || now;
+        sessions[key] = {
+            platform: stream.platform,
+            channelKey: stream.channelKey,
+            displayName: stream.displayName,
+            url: stream.url,
+            startedAt,
+            historyId: (session && isSameSession(session, stream) && session.historyId) || `${key}:${startedAt}`,
+            lastSeen: now,
+            missedPolls: 0
+        };
+    }
+
+    for (const [key, session] of Object.entries(sessions)) {
+        if (seen.has(key) || notDue.has(key)) continue;
+        session.missedPolls = (session.missedPolls || 0) + 1;
+        if (session.missedPolls > OFFLINE_GRACE_POLLS) {
+            ended.push(session);
+            delete sessions[key];
+        }
+    }
+
+    await browser.storage.local.set({ streamtime_sessions: sessions });
+    return { started, ended, sessions };
+}
+
+// --- Session History (IndexedDB, see history-db.js) ---
+
+async function recordHistory(streams, sessions, ended){
+    try {
+        for (const stream of streams) {
+            const session = sessions[sessionKey(stream)];
+            await recordHistorySample(session.historyId, stream, session.startedAt);
+        }
+        for (const session of ended) {
+            await closeHistorySession(session.historyId || `${sessionKey(session)}:${session.startedAt}`, session.lastSeen);
+        }
+    } catch (e) {
+        console.error('[History] Failed to record sessions:', e);
+    }
+}
+
+async function pruneHistoryNow(){
+    const settings = (await browser.storage.local.get('streamtime')).streamtime || {};
+    const removed = await pruneHistory(settings.history || {});
+    if (removed) console.log(`[History] Pruned ${removed} old sessions.`);
+}
+
+// --- Notifications ---
+
+/**
+ * Whether an event may notify, going by the channel entry's preferences (notify, mutedUntil), the
+ * favourites-only scope and the group filter in streamtime.notifications.
+ */
+function shouldNotify(event, settings){
+    const entry = findChannelEntry(settings, event) || {};
+    if (entry.notify === false) return false;
+    if (entry.mutedUntil && new Date(entry.mutedUntil).getTime() > Date.now()) return false;
+    if (settings.notifications?.scope === 'favourites' && !entry.favourite) return false;
+    // optional group filter (see channel-groups.js); groups deleted since do not count
+    const groups = (settings.notifications?.groups || []).filter(id => settings.groups?.[id]);
+    if (groups.length && !isInAnyGroup(entry, groups)) return false;
+    return true;
+}
+
+/**
+ * Shows the notification for a stream event; every event type enabled in streamtime.events
+ * reaches this handler (see the onStreamEvent subscription below).
+ */
+async function notifyStreamEvent(event, settings) {
+    if (devModeActive) {
+        console.log('[StreamTime] Developer mode, no notification for:', describeStreamEvent(event).title);
+        return;
+    }
+    if (!shouldNotify(event, settings)) return;
+    const entry = findChannelEntry(settings, event);
+    if (!breaksThroughQuiet(settings.quiet, entry) && await isQuietNow(settings)) {
+        // go-lives are summed up once the quiet period ends; other events are dropped
+        if (event.type === 'went_live') await rememberSuppressedGoLive(event);
+        return;
+    }
+    // one notification per channel and type; a newer event replaces the older one
+    const id = `${event.platform}-${event.channelKey}` + (event.type === 'went_live' ? '' : `-${event.type}`);
+    const { title, message } = describeStreamEvent(event);
+    const options = {
+        type: "basic",
+        iconUrl: "icon-48.png",
+        title,
+        message
+    };
+
+    // Remember what the notification points to, so clicks still work after a restart
+    const targets = (await browser.storage.local.get('streamtime_notifications')).streamtime_notifications || {};
+    targets[id] = { url: event.url, platform: event.platform, channelKey: event.channelKey };
+    await browser.storage.local.set({ streamtime_notifications: targets });
+
+    // Firefox notifications have no buttons; channels are muted from the popup or the options page
+    await browser.notifications.create(id, options);
+    if (entry?.sound) playNotificationSound();
+}
+
+onStreamEvent('*', notifyStreamEvent);
+
+// --- Quiet hours and snooze (see quiet-hours.js) ---
+// Go-lives held back meanwhile are kept in browser.storage.local.streamtime_quiet_suppressed.
+
+async function isQuietNow(settings){
+    const { streamtime_snooze_until } = await browser.storage.local.get('streamtime_snooze_until');
+    return isQuietTime(settings.quiet, streamtime_snooze_until);
+}
+
+async function rememberSuppressedGoLive(event){
+    const suppressed = (await browser.storage.local.get('streamtime_quiet_suppressed')).streamtime_quiet_suppressed || [];
+    suppressed.push({ platform: event.platform, channelKey: event.channelKey, displayName: event.displayName, url: event.url, at: event.at });
+    await browser.storage.local.set({ streamtime_quiet_suppressed: suppressed });
+}
+
+/**
+ * Once quiet hours or a snooze are over, sums up the go-lives held back in one notification.
+ */
+async function sendQuietSummary(settings){
+    const suppressed = (await browser.storage.local.get('streamtime_quiet_suppressed')).streamtime_quiet_suppressed || [];
+    if (!suppressed.length || await isQuietNow(settings)) return;
+    await browser.storage.local.remove(['streamtime_quiet_suppressed', 'streamtime_snooze_until']);
+
+    const names = [...new Set(suppressed.map(e => e.displayName))];
+    const shown = names.slice(0, 8).join(', ') + (names.length > 8 ? ` and ${names.length - 8} more` : '');
+    await browser.notifications.create('quiet-summary', {
+        type: "basic",
+        iconUrl: "icon-48.png",
+        title: names.length === 1 ? `${names[0]} went live while notifications were paused` : `${names.length} channels went live while notifications were paused`,
+        message: shown
+    });
+}
+
+// Short two-tone chime played through WebAudio (notifications have no sound option)
+function playNotificationSound(){
+    try {
+        const ctx = new AudioContext();
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.2, ctx.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.8);
+        gain.connect(ctx.destination);
+        [880, 1320].forEach((freq, i) => {
+            const osc = ctx.createOscillator();
+            osc.frequency.value = freq;
+            osc.connect(gain);
+            osc.start(ctx.currentTime + i * 0.15);
+            osc.stop(ctx.currentTime + 0.8);
+        });
+        setTimeout(() => ctx.close(), 1000);
+    } catch (e) {
+        console.warn('[Notifications] Could not play sound:', e);
+    }
+}
+
+/**
+ * Focuses a tab already showing the URL, or opens it in a new tab.
+ */
+async function openOrFocusUrl(url){
+    if (!url) return;
+    const tabs = await browser.tabs.query({});
+    const existing = tabs.find(t => t.url && t.url.replace(/\/$/, '') === url.replace(/\/$/, ''));
+    if (existing) {
+        await browser.tabs.update(existing.id, { active: true });
+        await browser.windows.update(existing.windowId, { focused: true });
+    } else {
+        await browser.tabs.create({ url });
+    }
+}
+
+async function getNotificationTarget(notificationId){
+    const targets = (await browser.storage.local.get('streamtime_notifications')).streamtime_notifications || {};
+    return targets[notificationId] || null;
+}
+
+browser.notifications.onClicked.addListener(async (notificationId) => {
+    const target = await getNotificationTarget(notificationId);
+    if (target) await openOrFocusUrl(target.url);
+    browser.notifications.clear(notificationId);
+});
+
+// --- Token Refresh Logic ---
+
+// Access tokens live in cookies that expire with the token; refresh tokens and the expiry time
+// (streamtime.<platform>.tokenExpiresAt) live in storage.local. Each platform has a one-shot
+// "<platform>-token-refresh" alarm set shortly before its token expires.
+
+const refreshesInFlight = new Map(); // platform id -> Promise of the running refresh
+
+/**
+ * Persists tokens returned by a provider and schedules the next refresh.
+ * @param {object} provider - A registered stream provider.
+ * @param {{accessToken: string, refreshToken?: string, expiresIn?: number}} tokens
+ * @returns {Promise<string|null>} ISO expiry of the access token, if known.
+ */
+async function saveProviderTokens(provider, tokens){
+    const expiresAt = tokens.expiresIn ? new Date(Date.now() + tokens.expiresIn * 1000).toISOString() : null;
+    // fixture tokens must not replace the real ones
+    if (devModeActive) return expiresAt;
+    if (await readVault()) {
+        await storeVaultSecrets(provider.id, { accessToken: tokens.accessToken, refreshToken: tokens.refreshToken });
+        await mergeSettings({ [provider.id]: { tokenExpiresAt: expiresAt } });
+    } else {
+        if (provider.tokenCookie) {
+            await setAccessTokenCookie(provider.tokenCookie.url, provider.tokenCookie.name, tokens.accessToken, tokens.expiresIn || undefined);
+        }
+        await mergeSettings({
+            [provider.id]: {
+                ...(tokens.refreshToken ? { refreshToken: tokens.refreshToken } : {}),
+                tokenExpiresAt: expiresAt
+            }
+        });
+    }
+    scheduleTokenRefresh(provider, expiresAt);
+    return expiresAt;
+}
+
+/**
+ * Sets the platform's refresh alarm shortly before expiresAt, or re-checks in an hour when the expiry is unknown.
+ */
+function scheduleTokenRefresh(provider, expiresAt, delaySeconds){
+    const expiry = expiresAt ? new Date(expiresAt).getTime() : NaN;
+    let when;
+    if (delaySeconds) when = Date.now() + delaySeconds * 1000;
+    else if (isNaN(expiry)) when = Date.now() + TOKEN_RECHECK_SECONDS * 1000;
+    else when = Math.max(Date.now() + 60 * 1000, expiry - TOKEN_REFRESH_LEAD_SECONDS * 1000);
+    browser.alarms.create(`${provider.id}-token-refresh`, { when });
+}
+
+/**
+ * Refreshes the access token of a provider that supports it, using the stored credentials.
+ * Concurrent callers (a 401 retry in check() and the refresh alarm) share one refresh, so a
+ * rotating refresh token is never used twice.
+ * The outcome is recorded in streamtime_status.<platform>.refresh for the diagnostics panel.
+ * @param {object} provider - A registered stream provider.
+ * @returns {Promise<string|null>} The new access token, or null when refresh was skipped or failed.
+ */
+function refreshProviderAuth(provider){
+    if (!provider.refreshAuth) return Promise.resolve(null);
+    if (!refreshesInFlight.has(provider.id)) {
+        const running = runProviderRefresh(provider).finally(() => refreshesInFlight.delete(provider.id));
+        refreshesInFlight.set(provider.id, running);
+    }
+    return refreshesInFlight.get(provider.id);
+}
+
+async function runProviderRefresh(provider){
+    // always read the latest refresh token; an earlier refresh may have rotated it
+    const s = (await loadSettings())[provider.id] || {};
+    if(!s.refreshToken){
+        await updatePlatformStatus(provider.id, { refresh: { at: nowIso(), ok: false, error: 'No refresh token saved' } });
+        return null;
+    }
+    let tokens = null;
+    let error = null;
+    try {
+        tokens = await provider.refreshAuth(s);
+    } catch (e) {
+        error = e.message;
+    }
+    if (!tokens && !error) {
+        const lastStatus = providerRequestStats.get(provider.id)?.lastStatus;
+        error = 'Token refresh failed' + (lastStatus ? ` (HTTP ${lastStatus})` : '');
+    }
+    if (tokens) await saveProviderTokens(provider, tokens);
+    else scheduleTokenRefresh(provider, null, TOKEN_RETRY_SECONDS);
+    await updatePlatformStatus(provider.id, { refresh: { at: nowIso(), ok: !!tokens, error } });
+    return tokens ? tokens.accessToken : null;
+}
+
+/**
+ * Validates the current access token (startup, unknown expiry, refresh alarm) and refreshes it
+ * when it is invalid or about to expire; otherwise records its expiry and schedules the refresh.
+ */
+async function ensureProviderAuth(provider){
+    if (!provider.refreshAuth && !provider.validateAuth) return;
+    const s = (await loadSettings())[provider.id] || {};
+    if (!s.accessToken && !s.refreshToken) return; // platform not authorized
+
+    let valid = !!s.accessToken;
+    let expiresAt = s.tokenExpiresAt || null;
+    if (s.accessToken && provider.validateAuth) {
+        try {
+            const result = await provider.validateAuth(s);
+            valid = result.valid;
+            if (valid && result.expiresIn) {
+                expiresAt = new Date(Date.now() + result.expiresIn * 1000).toISOString();
+                if (!devModeActive) await mergeSettings({ [provider.id]: { tokenExpiresAt: expiresAt } });
+            }
+        } catch (e) {
+            // network trouble: trust the stored expiry and try again later
+            console.warn(`[${provider.label}] Token validation failed:`, e);
+        }
+    }
+
+    const expiringSoon = expiresAt && new Date(expiresAt).getTime() - Date.now() < TOKEN_REFRESH_LEAD_SECONDS * 1000;
+    if ((!valid || expiringSoon) && s.refreshToken && provider.refreshAuth) {
+        await refreshProviderAuth(provider);
+    } else {
+        scheduleTokenRefresh(provider, valid ? expiresAt : null);
+    }
+}
+
+// --- Followed channels sync ---
+// Platforms whose options have "Sync follows automatically" checked (streamtime.<platform>.syncFollows)
+// get their channel list merged with the account's follows; see follows.js.
+
+async function syncFollows(){
+    // fixture follows would rewrite the real channel lists
+    if (devModeActive) return;
+    const settings = await loadSettings();
+    for (const provider of listProviders()) {
+        const platformSettings = settings[provider.id];
+        if (!provider.importFollows || !platformSettings?.syncFollows || !platformSettings.accessToken) continue;
+        try {
+            const follows = await provider.importFollows(platformSettings);
+
+            // re-read the list; it may have been edited in options while the import ran
+            const stored = (await browser.storage.local.get('streamtime')).streamtime || {};
+            const current = stored[provider.id] || {};
+            const result = mergeFollowedChannels(provider, current.channels, follows);
+            if (JSON.stringify(result.channels) !== JSON.stringify(current.channels || [])) {
+                current.channels = result.channels;
+                stored[provider.id] = current;
+                await browser.storage.local.set({ streamtime: stored });
+            }
+            console.log(`[${provider.label}] Follows synced: ${result.added} added, ${result.unfollowed} no longer followed.`);
+            await updatePlatformStatus(provider.id, { followsSync: { at: nowIso(), ok: true, added: result.added, unfollowed: result.unfollowed } });
+        } catch (e) {
+            console.warn(`[${provider.label}] Follows sync failed:`, e);
+            await updatePlatformStatus(provider.id, { followsSync: { at: nowIso(), ok: false, error: e.message } });
+        }
+    }
+}
+
+// --- Upcoming streams ---
+// browser.storage.local.streamtime_schedule: { updatedAt, streams, reminded }
+// streams are makeScheduledStream() records sorted by start time; reminded holds the
+// scheduleKey() of streams a starting_soon reminder was sent for.
+
+function scheduleKey(stream){ return `${stream.platform}:${stream.id}`; }
+
+async function refreshSchedule(){
+    const vault = await vaultStatus();
+    if (vault.enabled && !vault.unlocked) return;
+    const settings = await loadSettings();
+    const stored = (await browser.storage.local.get('streamtime_schedule')).streamtime_schedule || {};
+    let streams = [];
+    for (const provider of listProviders()) {
+        if (!provider.fetchSchedule) continue;
+        try {
+            streams.push(...await provider.fetchSchedule(settings[provider.id] || {}));
+        } catch (e) {
+            console.warn(`[${provider.label}] Schedule refresh failed:`, e);
+            // keep what was announced before rather than dropping the platform's streams
+            streams.push(...(stored.streams || []).filter(s => s.platform === provider.id));
+        }
+    }
+
+    const from = Date.now() - SCHEDULE_LATE_MINUTES * 60 * 1000;
+    const to = Date.now() + SCHEDULE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    streams = streams
+        .filter(s => { const t = new Date(s.startAt).getTime(); return t > from && t < to; })
+        .sort((a, b) => new Date(a.startAt) - new Date(b.startAt));
+    const keys = new Set(streams.map(scheduleKey));
+    const reminded = (stored.reminded || []).filter(key => keys.has(key));
+    await browser.storage.local.set({ streamtime_schedule: { updatedAt: nowIso(), streams, reminded } });
+}
+
+/**
+ * starting_soon events for scheduled streams that start within the reminder lead time and have not
+ * been reminded of yet. Channels that are already live are skipped.
+ */
+async function dueReminderEvents(live, settings){
+    if (!isStreamEventEnabled('starting_soon', settings.events)) return [];
+    const schedule = (await browser.storage.local.get('streamtime_schedule')).streamtime_schedule;
+    if (!schedule?.streams?.length) return [];
+    const now = Date.now();
+    const lead = reminderMinutes(settings.events) * 60 * 1000;
+    const liveKeys = new Set(Object.values(live).flat().map(sessionKey));
+    const reminded = new Set(schedule.reminded || []);
+    const events = [];
+    for (const stream of schedule.streams) {
+        const startAt = new Date(stream.startAt).getTime();
+        if (reminded.has(scheduleKey(stream)) || startAt < now || startAt - now > lead) continue;
+        reminded.add(scheduleKey(stream));
+        if (liveKeys.has(sessionKey(stream))) continue;
+        events.push({
+            type: 'starting_soon',
+            platform: stream.platform,
+            channelKey: stream.channelKey,
+            displayName: stream.displayName,
+            url: stream.url,
+            at: nowIso(),
+            title: stream.title,
+            startAt: stream.startAt
+        });
+    }
+    if (reminded.size !== (schedule.reminded || []).length) {
+        await browser.storage.local.set({ streamtime_schedule: { ...schedule, reminded: Array.from(reminded) } });
+    }
+    return events;
+}
+
+// --- ALARM INITIALIZATION LOGIC ---
+
+async function initAlarms() {
+    console.log("Checking and setting up periodic alarms.");
+
+    // Validate tokens on every startup; this also (re)schedules each platform's refresh alarm
+    for (const provider of listProviders()) {
+        await ensureProviderAuth(provider).catch(e => console.error(`[${provider.label}] Token check failed:`, e));
+    }
+
+    // Added after the other alarms, so check for it on its own
+    if (!(await browser.alarms.get('streamtime-follows-sync'))) {
+        browser.alarms.create('streamtime-follows-sync', { delayInMinutes: 1, periodInMinutes: FOLLOWS_SYNC_INTERVAL_MINUTES });
+    }
+    if (!(await browser.alarms.get('streamtime-schedule'))) {
+        browser.alarms.create('streamtime-schedule', { delayInMinutes: 1, periodInMinutes: SCHEDULE_INTERVAL_MINUTES });
+    }
+    // alarms do not survive a browser restart; without a short first delay a daily restart would never prune
+    if (!(await browser.alarms.get('streamtime-history-prune'))) {
+        browser.alarms.create('streamtime-history-prune', { delayInMinutes: 2, periodInMinutes: HISTORY_PRUNE_INTERVAL_MINUTES });
+    }
+
+    // Check if the main poll alarm already exists
+    const mainAlarm = await browser.alarms.get('streamtime-main-poll');
+
+    if (!mainAlarm) {
+        console.log("Alarms not found. Initializing and running first poll...");
+
+        // Define Alarms
+        browser.alarms.create('streamtime-main-poll', { periodInMinutes: POLL_INTERVAL_SECONDS / 60 });
+        // Notifications are now sent from pollAll; drop the alarm left by older versions
+        browser.alarms.clear('streamtime-notification-check');
+
+        // --- IMMEDIATE POLLS ---
+        await pollAll();
+    }
+}
+
+// --- ALARM EXECUTION LISTENER ---
+
+browser.alarms.onAlarm.addListener(async (alarm) => {
+    try {
+        if (alarm.name === 'streamtime-main-poll') {
+            await pollAll();
+        }
+        else if (alarm.name === 'streamtime-history-prune') {
+            await pruneHistoryNow();
+        }
+        else if (alarm.name === 'streamtime-follows-sync') {
+            await syncFollows();
+        }
+        else if (alarm.name === 'streamtime-schedule') {
+            await refreshSchedule();
+        }
+        else if (alarm.name.endsWith('-token-refresh')) {
+            const provider = getProvider(alarm.name.slice(0, -'-token-refresh'.length));
+            if (provider) await ensureProviderAuth(provider);
+        }
+    } catch (e) {
+        console.error(`Error handling alarm ${alarm.name}:`, e);
+    }
+});
+
+
+// --- Credential vault (see vault.js) ---
+
+/**
+ * Runs a vault_* request from the popup or options page.
+ * @returns {Promise<object>} { ok, error } plus the vault status, and the secrets for 'vault_secrets'.
+ */
+async function handleVaultMessage(msg){
+    try {
+        if (msg.action === 'vault_enable') await enableVault(msg.passphrase);
+        else if (msg.action === 'vault_unlock') await unlockVault(msg.passphrase);
+        else if (msg.action === 'vault_lock') lockVault();
+        else if (msg.action === 'vault_disable') await disableVault();
+        else if (msg.action === 'vault_reset') await resetVault();
+        else if (msg.action === 'vault_store') await storeVaultSecrets(msg.platform, msg.secrets || {});
+    } catch (e) {
+        return { ok: false, error: e.message, ...(await vaultStatus()) };
+    }
+
+    if (msg.action === 'vault_unlock') {
+        // tokens were unavailable while locked: validate them and catch up on polling
+        for (const provider of listProviders()) {
+            await ensureProviderAuth(provider).catch(e => console.error(`[${provider.label}] Token check failed:`, e));
+        }
+        pollAll().catch(console.error);
+    }
+    if (msg.action === 'vault_lock') await showLockedBadge();
+
+    const result = { ok: true, ...(await vaultStatus()) };
+    if (msg.action === 'vault_secrets' && result.unlocked) {
+        result.secrets = Object.fromEntries(listProviders().map(p => [p.id, getVaultSecrets(p.id)]));
+    }
+    return result;
+}
+
+// --- Developer mode (see dev-http.js) ---
+// Fixture results must not end up in user data. While the mode is on, polls write no history or
+// last-live times, send no notifications, sync no follows and keep no tokens. The poll state and
+// caches they do use are set aside in streamtime_dev_stash when the mode is turned on and put back
+// when it is turned off, so the real streams are neither ended nor announced again.
+
+const DEV_MODE_STATE_KEYS = ['streamtime_live', 'streamtime_sessions', 'streamtime_events', 'streamtime_status', 'streamtime_poll_state', 'streamtime_schedule', 'streamtime_last_poll', 'streamtime_youtube_quota', 'streamtime_youtube_resolved', 'streamtime_last_live'];
+
+let devModeActive = false;
+
+function isDevModeOn(config){
+    return !!config && !!config.mode && config.mode !== 'off';
+}
+
+function applyDevMode(config){
+    devModeActive = isDevModeOn(config);
+    setProviderHttpClient(createDevHttpClient(config));
+    if (devModeActive) {
+        console.warn(`[StreamTime] Developer mode "${config.mode}" is on; platform requests ${config.mode === 'replay' ? `replay the "${config.scenario}" scenario` : `go to ${config.mockUrl}`}.`);
+    }
+}
+
+/**
+ * Sets the real poll state aside when the mode is turned on, drops the fixture state of the previous
+ * scenario when it changes and puts the real state back when it is turned off.
+ */
+async function switchDevModeState(wasOn, isOn){
+    if (!wasOn && isOn) {
+        const stash = await browser.storage.local.get(DEV_MODE_STATE_KEYS);
+        await browser.storage.local.set({ streamtime_dev_stash: stash });
+        await browser.storage.local.remove(DEV_MODE_STATE_KEYS);
+    } else if (isOn) {
+        await browser.storage.local.remove(DEV_MODE_STATE_KEYS);
+    } else if (wasOn) {
+        const { streamtime_dev_stash } = await browser.storage.local.get('streamtime_dev_stash');
+        await browser.storage.local.remove([...DEV_MODE_STATE_KEYS, 'streamtime_dev_stash']);
+        await browser.storage.local.set(streamtime_dev_stash || {});
+    }
+}
+
+browser.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.streamtime_dev) return;
+    const { oldValue, newValue } = changes.streamtime_dev;
+    // a poll must not start with one client and state and end with the other
+    runBetweenPolls(async () => {
+        await switchDevModeState(isDevModeOn(oldValue), isDevModeOn(newValue));
+        applyDevMode(newValue);
+    })
+        .then(() => pollAll(true))
+        .catch(console.error);
+});
+
+// --- Runtime Message Listener ---
+
+browser.runtime.onMessage.addListener(async (msg) => {
+    if (msg?.action?.startsWith('vault_')) {
+        return handleVaultMessage(msg);
+    }
+    if (msg?.action === 'poll_now') {
+        console.log('[StreamTime] Manual poll triggered from options.');
+        await pollAll(true);
+        return true;
+    }
+    if (msg?.action === 'sync_follows') {
+        await syncFollows();
+        return true;
+    }
+    if (msg?.action === 'auth_updated') {
+        // new tokens saved in options: pick up their expiry and reschedule the refresh
+        const provider = getProvider(msg.platform);
+        if (provider) await ensureProviderAuth(provider);
+        return true;
+    }
+});
+
+// --- EXECUTION ON SERVICE WORKER STARTUP ---
+
+browser.storage.local.get('streamtime_dev')
+    .then(data => applyDevMode(data.streamtime_dev))
+    .then(initAlarms)
+    .catch(console.error);
@@ -0,0 +1,29 @@
+// channel-groups.js
+// User-defined channel groups, shared by background.js, popup.js and options.js.
+// streamtime.groups maps a group id to { name }; a channel entry lists the ids of its groups in
+// entry.groups, so one group can hold channels of every platform. entry.favourite marks favourites.
+
+/**
+ * @returns {{id: string, name: string}[]} Groups in creation order.
+ */
+function listGroups(settings){
+    return Object.entries(settings?.groups || {}).map(([id, group]) => ({ id, name: group.name }));
+}
+
+function createGroupId(){
+    return 'g' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Configured channel entry that a stream record or stream event belongs to.
+ * @returns {object|null}
+ */
+function findChannelEntry(settings, stream){
+    const provider = getProvider(stream.platform);
+    const channels = settings[stream.platform]?.channels || [];
+    return (provider && channels.find(c => provider.channelKey(c) === stream.channelKey)) || null;
+}
+
+function isInAnyGroup(entry, groupIds){
+    return !!entry?.groups?.some(id => groupIds.includes(id));
+}
@@ -0,0 +1,200 @@
+// dev-http.js
+// Developer mode for the platform requests of the background checks (options.js only lists the
+// scenarios; its own requests stay on the real network). The configuration lives in
+// browser.storage.local.streamtime_dev:
+//   { mode: 'off' }                           real network (default)
+//   { mode: 'replay', scenario, fixtures }    answers come from fixtures; nothing leaves the browser.
+//                                             fixtures is an optional list of recorded responses
+//                                             { match, status, body, headers } (match: part of the URL)
+//                                             tried before the built-in DEV_SCENARIOS
+//   { mode: 'mock', mockUrl }                 requests go to a local server as <mockUrl>/<host><path>?<query>
+// providerFetch() sends every platform request through the client created here (setProviderHttpClient).
+
+const DEV_SCENARIOS = {
+    live: { label: 'Every channel is live' },
+    offline: { label: 'Every channel is offline' },
+    auth_refresh: { label: 'API rejects the access token (401) until it is refreshed' },
+    quota: { label: 'Rate limited / quota exhausted (429, Retry-After, quotaExceeded)' }
+};
+
+/**
+ * @returns {function|null} Client for setProviderHttpClient(); null means the real network.
+ */
+function createDevHttpClient(config){
+    if (config?.mode === 'replay') return createReplayClient(config.scenario || 'live', config.fixtures || []);
+    if (config?.mode === 'mock' && config.mockUrl) return createMockServerClient(config.mockUrl);
+    return null;
+}
+
+function createMockServerClient(mockUrl){
+    const base = mockUrl.replace(/\/+$/, '');
+    return (url, options) => {
+        const target = new URL(url);
+        return fetch(`${base}/${target.host}${target.pathname}${target.search}`, options);
+    };
+}
+
+function fixtureResponse(status, body, headers = {}){
+    const xml = typeof body === 'string';
+    return new Response(xml ? body : JSON.stringify(body ?? {}), {
+        status,
+        headers: { 'Content-Type': xml ? 'application/xml' : 'application/json', ...headers }
+    });
+}
+
+// Stable fake numeric ID for a name, so the same input always resolves to the same channel
+function fixtureId(text){
+    let hash = 7;
+    for (const c of String(text)) hash = (hash * 31 + c.charCodeAt(0)) % 1000000007;
+    return String(hash);
+}
+
+/**
+ * Client answering from fixtures. Each client keeps its own state: when the fake streams started
+ * and which platforms refreshed their token (for the auth_refresh scenario).
+ */
+function createReplayClient(scenario, fixtures){
+    const state = { startedAt: new Date(Date.now() - 30 * 60 * 1000).toISOString(), refreshed: new Set() };
+    return async (url, options = {}) => {
+        const recorded = fixtures.find(f => f && f.match && String(url).includes(f.match));
+        if (recorded) return fixtureResponse(recorded.status || 200, recorded.body, recorded.headers);
+        return scenarioResponse(scenario, new URL(url), options, state);
+    };
+}
+
+function scenarioResponse(scenario, url, options, state){
+    const host = url.hostname;
+    const path = url.pathname;
+    const platform = host.endsWith('twitch.tv') ? 'twitch'
+        : host.endsWith('kick.com') ? 'kick'
+        : path.startsWith('/api/v1/') ? 'peertube'
+        : path.startsWith('/api/') ? 'owncast'
+        : 'youtube';
+    const live = scenario !== 'offline';
+
+    // OAuth: token exchange and refresh always succeed, validation accepts any token
+    if (path === '/oauth2/token' || path === '/oauth/token' || (host === 'oauth2.googleapis.com' && path === '/token')) {
+        state.refreshed.add(platform);
+        return fixtureResponse(200, { access_token: 'fixture-token-' + Date.now(), refresh_token: 'fixture-refresh-token', expires_in: 4 * 60 * 60 });
+    }
+    if (path === '/oauth2/validate') return fixtureResponse(200, { login: 'fixture_user', user_id: '1', expires_in: 4 * 60 * 60 });
+    if (path === '/public/v1/token/introspect') return fixtureResponse(200, { data: { active: true, exp: Math.floor(Date.now() / 1000) + 4 * 60 * 60 } });
+    if (path === '/tokeninfo') return fixtureResponse(200, { expires_in: 4 * 60 * 60 });
+
+    const selfHosted = platform === 'owncast' || platform === 'peertube';
+    const isApi = host === 'api.twitch.tv' || host === 'api.kick.com' || path.startsWith('/youtube/v3/') || selfHosted;
+    // self-hosted servers are public; there is no token to refresh
+    if (isApi && scenario === 'auth_refresh' && !selfHosted && !state.refreshed.has(platform)) {
+        return fixtureResponse(401, { error: 'Unauthorized', message: 'Invalid OAuth token (fixture)' });
+    }
+    if (isApi && scenario === 'quota') {
+        if (platform === 'twitch') {
+            return fixtureResponse(429, { error: 'Too Many Requests' }, { 'Ratelimit-Limit': '800', 'Ratelimit-Remaining': '0', 'Ratelimit-Reset': String(Math.ceil(Date.now() / 1000) + 60) });
+        }
+        if (platform !== 'youtube') return fixtureResponse(429, { message: 'Too Many Requests' }, { 'Retry-After': '120' });
+        return fixtureResponse(403, { error: { code: 403, errors: [{ reason: 'quotaExceeded' }] } });
+    }
+
+    if (platform === 'twitch') return twitchFixture(path, url.searchParams, live, state);
+    if (platform === 'kick') return kickFixture(url.searchParams, live, state);
+    if (platform === 'owncast') return owncastFixture(path, host, live, state);
+    if (platform === 'peertube') return peertubeFixture(path, live);
+    return youtubeFixture(path, url.searchParams, live, state);
+}
+
+function twitchFixture(path, params, live, state){
+    if (path === '/helix/streams') {
+        return fixtureResponse(200, { data: live ? params.getAll('user_id').map(id => ({
+            user_id: id,
+            user_login: 'fixture_' + id,
+            user_name: 'Fixture ' + id,
+            title: 'Fixture stream ' + id,
+            game_name: 'Just Chatting',
+            viewer_count: 100 + Number(id) % 5000,
+            started_at: state.startedAt,
+            thumbnail_url: ''
+        })) : [] });
+    }
+    if (path === '/helix/users') {
+        const logins = params.getAll('login');
+        return fixtureResponse(200, { data: (logins.length ? logins : ['fixture_user']).map(login => ({ id: fixtureId(login), login, display_name: login, profile_image_url: '' })) });
+    }
+    if (path === '/helix/channels/followed') return fixtureResponse(200, { data: [], pagination: {} });
+    if (path === '/helix/schedule') {
+        const id = params.get('broadcaster_id');
+        return fixtureResponse(200, { data: {
+            broadcaster_id: id,
+            broadcaster_login: 'fixture_' + id,
+            broadcaster_name: 'Fixture ' + id,
+            segments: [{ id: 'fixture-segment-' + id, start_time: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(), title: 'Scheduled fixture stream', category: { name: 'Just Chatting' } }]
+        } });
+    }
+    return fixtureResponse(404, { error: 'No fixture for ' + path });
+}
+
+function kickFixture(params, live, state){
+    const slugs = params.getAll('slug');
+    if (slugs.length) return fixtureResponse(200, { data: slugs.map(slug => ({ broadcaster_user_id: Number(fixtureId(slug)), slug })) });
+    return fixtureResponse(200, { data: params.getAll('broadcaster_user_id').map(id => ({
+        broadcaster_user_id: Number(id),
+        slug: 'fixture-' + id,
+        stream_title: 'Fixture stream ' + id,
+        category: { name: 'Just Chatting' },
+        stream: { is_live: live, viewer_count: 100 + Number(id) % 5000, start_time: state.startedAt, thumbnail: '' }
+    })) });
+}
+
+function owncastFixture(path, host, live, state){
+    if (path === '/api/config') return fixtureResponse(200, { name: 'Fixture ' + host, summary: '', tags: [] });
+    if (path === '/api/status') {
+        return fixtureResponse(200, { online: live, viewerCount: live ? 42 : 0, streamTitle: live ? 'Fixture stream on ' + host : '', lastConnectTime: live ? state.startedAt : null });
+    }
+    return fixtureResponse(404, { error: 'No fixture for ' + path });
+}
+
+function peertubeFixture(path, live){
+    const [, name, videos] = path.match(/^\/api\/v1\/video-channels\/([^/]+)(\/videos)?$/) || [];
+    if (!name) return fixtureResponse(404, { error: 'No fixture for ' + path });
+    const channel = decodeURIComponent(name);
+    if (!videos) return fixtureResponse(200, { id: Number(fixtureId(channel)), name: channel, displayName: 'Fixture ' + channel, avatars: [] });
+    return fixtureResponse(200, { total: live ? 1 : 0, data: live ? [{
+        uuid: 'fixture-' + fixtureId(channel),
+        shortUUID: 'fx' + fixtureId(channel),
+        name: 'Fixture live on ' + channel,
+        isLive: true,
+        state: { id: 1 },
+        viewers: 12,
+        category: { label: 'Gaming' }
+    }] : [] });
+}
+
+function youtubeFixture(path, params, live, state){
+    if (path === '/feeds/videos.xml') {
+        const channelId = params.get('channel_id');
+        return fixtureResponse(200, `<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015"><entry><yt:videoId>fx-${channelId}</yt:videoId></entry></feed>`);
+    }
+    if (path === '/youtube/v3/videos') {
+        return fixtureResponse(200, { items: (params.get('id') || '').split(',').filter(Boolean).map(id => ({
+            id,
+            snippet: {
+                channelId: id.replace(/^fx-/, ''),
+                channelTitle: 'Fixture ' + id.replace(/^fx-/, ''),
+                title: 'Fixture stream',
+                liveBroadcastContent: live ? 'live' : 'none',
+                thumbnails: {}
+            },
+            liveStreamingDetails: live
+                ? { actualStartTime: state.startedAt, concurrentViewers: '1234' }
+                : { actualStartTime: state.startedAt, actualEndTime: new Date().toISOString() }
+        })) });
+    }
+    if (path === '/youtube/v3/channels' || path === '/youtube/v3/search') {
+        const query = params.get('forHandle') || params.get('forUsername') || params.get('q') || 'fixture';
+        const id = 'UCfixture' + fixtureId(query).padStart(16, '0');
+        return fixtureResponse(200, { items: [path.endsWith('search')
+            ? { snippet: { channelId: id, title: 'Fixture ' + query, thumbnails: {} } }
+            : { id, snippet: { title: 'Fixture ' + query, thumbnails: {} } }] });
+    }
+    if (path === '/youtube/v3/subscriptions' || path === '/youtube/v3/playlistItems') return fixtureResponse(200, { items: [] });
+    return fixtureResponse(404, { error: 'No fixture for ' + path });
+}
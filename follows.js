@@ -0,0 +1,46 @@
+// follows.js
+// Merges the followed channels of the authorized account (provider.importFollows) into a
+// configured channel list. Shared by options.js ("Import my follows") and background.js (periodic sync).
+//
+// Entries that came from the account carry followed: true. When a channel is no longer followed
+// it is kept and flagged with unfollowed: true / unfollowedAt instead of being deleted, so its
+// preferences survive and the user decides whether to remove it.
+
+// Entry fields managed by the merge; options.js keeps them when a list is converted and saved again
+const FOLLOW_FIELDS = ['followed', 'followedSince', 'unfollowed', 'unfollowedAt'];
+
+/**
+ * @param {object} provider - Registered stream provider.
+ * @param {object[]} channels - Current streamtime.<platform>.channels.
+ * @param {object[]} follows - Channel entries returned by provider.importFollows().
+ * @returns {{channels: object[], added: number, unfollowed: number}} Merged list and change counts.
+ */
+function mergeFollowedChannels(provider, channels, follows){
+    const now = new Date().toISOString();
+    const followed = new Map(follows.map(f => [provider.channelKey(f), f]));
+    const out = [];
+    let added = 0;
+    let unfollowed = 0;
+
+    for (const c of channels || []) {
+        const key = provider.channelKey(c);
+        if (key && followed.has(key)) {
+            const merged = Object.assign({}, followed.get(key), c, { followed: true });
+            delete merged.unfollowed;
+            delete merged.unfollowedAt;
+            out.push(merged);
+            followed.delete(key);
+        } else if (c.followed && !c.unfollowed) {
+            out.push(Object.assign({}, c, { unfollowed: true, unfollowedAt: now }));
+            unfollowed++;
+        } else {
+            out.push(c);
+        }
+    }
+
+    for (const f of followed.values()) {
+        out.push(Object.assign({}, f, { followed: true, followedSince: now }));
+        added++;
+    }
+    return { channels: out, added, unfollowed };
+}
@@ -0,0 +1,120 @@
+// history-db.js
+// IndexedDB store of past live sessions, shared by background.js (writer) and history.js (reader).
+// One record per stream session:
+//   { id, platform, channelKey, displayName, start, end, lastSeen, titles[], categories[],
+//     peakViewers, viewerSum, samples }
+// end stays null while the stream is live; average viewers = viewerSum / samples.
+
+const HISTORY_DB_NAME = 'streamtime-history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'sessions';
+const HISTORY_DEFAULT_RETENTION_DAYS = 180;
+const HISTORY_DEFAULT_MAX_SESSIONS = 5000;
+
+let historyDbPromise = null;
+
+function openHistoryDb(){
+    if (historyDbPromise) return historyDbPromise;
+    historyDbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+        req.onupgradeneeded = () => {
+            req.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+            historyDbPromise = null;
+            reject(req.error);
+        };
+    });
+    return historyDbPromise;
+}
+
+// Wraps an IDBRequest in a promise
+function historyRequest(req){
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function historyStore(mode){
+    const db = await openHistoryDb();
+    return db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+}
+
+/**
+ * Adds one poll sample of a live stream to its session, creating the session on first sight.
+ * @param {string} id - Session id (platform, channel and stream start).
+ * @param {object} stream - Normalized stream record (see providers/registry.js).
+ * @param {string} start - ISO start time of the session.
+ */
+async function recordHistorySample(id, stream, start){
+    const store = await historyStore('readwrite');
+    const session = (await historyRequest(store.get(id))) || {
+        id,
+        platform: stream.platform,
+        channelKey: stream.channelKey,
+        displayName: stream.displayName,
+        start,
+        end: null,
+        titles: [],
+        categories: [],
+        peakViewers: 0,
+        viewerSum: 0,
+        samples: 0
+    };
+    session.displayName = stream.displayName || session.displayName;
+    session.lastSeen = new Date().toISOString();
+    if (stream.title && !session.titles.includes(stream.title)) session.titles.push(stream.title);
+    if (stream.category && !session.categories.includes(stream.category)) session.categories.push(stream.category);
+    session.peakViewers = Math.max(session.peakViewers, stream.viewers || 0);
+    session.viewerSum += stream.viewers || 0;
+    session.samples += 1;
+    await historyRequest(store.put(session));
+}
+
+/**
+ * Marks a session as finished.
+ * @param {string} id - Session id.
+ * @param {string} end - ISO time the stream was last seen live.
+ */
+async function closeHistorySession(id, end){
+    const store = await historyStore('readwrite');
+    const session = await historyRequest(store.get(id));
+    if (!session || session.end) return;
+    session.end = end || session.lastSeen || new Date().toISOString();
+    await historyRequest(store.put(session));
+}
+
+/**
+ * @returns {Promise<object[]>} All recorded sessions, newest first.
+ */
+async function listHistorySessions(){
+    const store = await historyStore('readonly');
+    const all = await historyRequest(store.getAll());
+    return all.sort((a, b) => (b.start || '').localeCompare(a.start || ''));
+}
+
+/**
+ * Drops sessions older than the retention period and the oldest ones beyond the maximum count.
+ * @param {object} [limits] - { retentionDays, maxSessions } from streamtime.history.
+ * @returns {Promise<number>} Number of deleted sessions.
+ */
+async function pruneHistory(limits = {}){
+    const retentionDays = Number(limits.retentionDays) || HISTORY_DEFAULT_RETENTION_DAYS;
+    const maxSessions = Number(limits.maxSessions) || HISTORY_DEFAULT_MAX_SESSIONS;
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const sessions = await listHistorySessions();
+    const doomed = sessions.filter((s, i) => i >= maxSessions || (s.start || '') < cutoff);
+    if (!doomed.length) return 0;
+
+    const store = await historyStore('readwrite');
+    await Promise.all(doomed.map(s => historyRequest(store.delete(s.id))));
+    return doomed.length;
+}
+
+async function clearHistory(){
+    const store = await historyStore('readwrite');
+    await historyRequest(store.clear());
+}
@@ -0,0 +1,144 @@
+// history.js
+// Lists past live sessions recorded by background.js (see history-db.js) with per-channel stats.
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+let allSessions = [];
+
+function escapeHtml(s){ return String(s ?? '').replace(/[&<>"']/g, c=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' })[c]); }
+
+function sessionDurationMs(s){
+  const end = s.end || s.lastSeen || new Date().toISOString();
+  return Math.max(0, new Date(end).getTime() - new Date(s.start).getTime());
+}
+
+function formatDuration(ms){
+  const m = Math.floor(ms/60000);
+  const h = Math.floor(m/60);
+  if(h>0) return `${h}h ${m%60}m`;
+  return `${m}m`;
+}
+
+function platformLabel(id){
+  return getProvider(id)?.label || id;
+}
+
+function channelId(s){ return s.platform + ':' + s.channelKey; }
+
+function currentFilters(){
+  return {
+    platform: document.getElementById('filter-platform').value,
+    channel: document.getElementById('filter-channel').value,
+    days: Number(document.getElementById('filter-range').value)
+  };
+}
+
+function filterSessions(){
+  const f = currentFilters();
+  const since = f.days ? Date.now() - f.days * 24 * 60 * 60 * 1000 : 0;
+  return allSessions.filter(s=>
+    (!f.platform || s.platform === f.platform) &&
+    (!f.channel || channelId(s) === f.channel) &&
+    new Date(s.start).getTime() >= since
+  );
+}
+
+// Fill the channel dropdown with every channel seen in the history (optionally for one platform)
+function fillChannelFilter(){
+  const platform = document.getElementById('filter-platform').value;
+  const select = document.getElementById('filter-channel');
+  const selected = select.value;
+  const channels = new Map();
+  for(const s of allSessions){
+    if(platform && s.platform !== platform) continue;
+    channels.set(channelId(s), `${s.displayName} (${platformLabel(s.platform)})`);
+  }
+  select.innerHTML = '<option value="">All channels</option>' + Array.from(channels.entries())
+    .sort((a, b)=>a[1].localeCompare(b[1]))
+    .map(([id, name])=>`<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`).join('');
+  select.value = channels.has(selected) ? selected : '';
+}
+
+function renderStats(sessions){
+  const days = currentFilters().days;
+  const byChannel = new Map();
+  for(const s of sessions){
+    const id = channelId(s);
+    if(!byChannel.has(id)) byChannel.set(id, []);
+    byChannel.get(id).push(s);
+  }
+
+  const rows = [];
+  for(const list of byChannel.values()){
+    const first = list[0];
+    // weeks covered: the selected period, or the span since the channel's oldest kept session
+    const oldest = Math.min(...list.map(s=>new Date(s.start).getTime()));
+    const spanMs = days ? days * 24 * 60 * 60 * 1000 : Date.now() - oldest;
+    const weeks = Math.max(1, spanMs / WEEK_MS);
+    const totalMs = list.reduce((n, s)=>n + sessionDurationMs(s), 0);
+    const samples = list.reduce((n, s)=>n + s.samples, 0);
+    const viewerSum = list.reduce((n, s)=>n + s.viewerSum, 0);
+    rows.push({
+      name: first.displayName,
+      platform: platformLabel(first.platform),
+      count: list.length,
+      perWeek: (list.length / weeks).toFixed(1),
+      avgDuration: formatDuration(totalMs / list.length),
+      avgViewers: samples ? Math.round(viewerSum / samples) : 0,
+      peak: Math.max(...list.map(s=>s.peakViewers))
+    });
+  }
+  rows.sort((a, b)=>b.count - a.count);
+
+  document.getElementById('history-stats').innerHTML = rows.length ? rows.map(r=>
+    `<tr><td>${escapeHtml(r.name)}</td><td>${escapeHtml(r.platform)}</td><td>${r.count}</td><td>${r.perWeek}</td>` +
+    `<td>${r.avgDuration}</td><td>${r.avgViewers}</td><td>${r.peak}</td></tr>`
+  ).join('') : '<tr><td colspan="7" class="muted">No sessions recorded in this period.</td></tr>';
+}
+
+function renderSessions(sessions){
+  document.getElementById('history-sessions').innerHTML = sessions.length ? sessions.map(s=>{
+    const duration = formatDuration(sessionDurationMs(s)) + (s.end ? '' : ' <span class="live">live</span>');
+    return `<tr><td>${escapeHtml(s.displayName)}<div class="muted">${escapeHtml(platformLabel(s.platform))}</div></td>` +
+      `<td>${escapeHtml(new Date(s.start).toLocaleString())}</td><td>${duration}</td>` +
+      `<td>${s.titles.map(escapeHtml).join('<br>')}</td><td>${s.categories.map(escapeHtml).join(', ')}</td>` +
+      `<td>${s.peakViewers}</td><td>${s.samples ? Math.round(s.viewerSum / s.samples) : 0}</td></tr>`;
+  }).join('') : '<tr><td colspan="7" class="muted">No sessions recorded in this period.</td></tr>';
+}
+
+function render(){
+  const sessions = filterSessions();
+  renderStats(sessions);
+  renderSessions(sessions);
+}
+
+async function load(){
+  allSessions = await listHistorySessions();
+  fillChannelFilter();
+  render();
+}
+
+const platformSelect = document.getElementById('filter-platform');
+for(const provider of listProviders()){
+  const option = document.createElement('option');
+  option.value = provider.id;
+  option.textContent = provider.label;
+  platformSelect.appendChild(option);
+}
+
+platformSelect.addEventListener('change', ()=>{ fillChannelFilter(); render(); });
+document.getElementById('filter-channel').addEventListener('change', render);
+document.getElementById('filter-range').addEventListener('change', render);
+
+document.getElementById('history-clear').addEventListener('click', async ()=>{
+  if(!confirm('Delete all recorded stream sessions?')) return;
+  await clearHistory();
+  await load();
+});
+
+// new samples arrive with every poll
+browser.storage.onChanged.addListener((changes, area)=>{
+  if(area === 'local' && changes.streamtime_last_poll) load();
+});
+
+load();
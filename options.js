@@ -1,492 +1,1267 @@
-// options.js
-
-// --- PKCE Utility Functions (NEW) ---
-
-// Generate a random string for state or verifier (must be URL-safe)
-function generateRandomString(length = 64) {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
-    let randomString = '';
-    const array = new Uint8Array(length);
-    window.crypto.getRandomValues(array);
-    for (let i = 0; i < length; i++) {
-        randomString += chars[array[i] % chars.length];
-    }
-    return randomString;
-}
-
-// Convert ArrayBuffer to URL-safe base64 string
-function base64UrlEncode(buffer) {
-    // btoa requires binary string input.
-    const binary = String.fromCharCode.apply(null, new Uint8Array(buffer));
-    return btoa(binary)
-        .replace(/\+/g, '-')
-        .replace(/\//g, '_')
-        .replace(/=+$/, ''); // Remove padding
-}
-
-// Generate the S256 code challenge from the code verifier
-async function generateCodeChallenge(codeVerifier) {
-    const data = new TextEncoder().encode(codeVerifier);
-    const digest = await window.crypto.subtle.digest('SHA-256', data);
-    return base64UrlEncode(digest);
-}
-
-// --- Tab Switching Logic ---
-document.querySelectorAll('.tab').forEach(t=>{
-  t.addEventListener('click', ()=> {
-    document.querySelectorAll('.tab').forEach(x=>x.classList.remove('active'));
-    document.querySelectorAll('.panel').forEach(p=>p.classList.remove('active'));
-    t.classList.add('active');
-    document.getElementById(t.dataset.target).classList.add('active');
-  });
-});
-
-// utility: normalize channel input -> array of tokens
-function parseList(s){
-  if(!s) return [];
-  return s.split(/\s*[,\n]\s*/).map(x=>x.trim()).filter(Boolean);
-}
-
-// --- save / load helpers ---
-// helper cookie functions (url should match the host that should receive the cookie)
-async function setAccessTokenCookie(url, name, value, days = 7){
-  const expires = Math.floor(Date.now()/1000) + days*24*60*60;
-  await browser.cookies.set({
-    url,
-    name,
-    value: value || '',
-    path: '/',
-    secure: true,
-    sameSite: 'lax',
-    expirationDate: expires
-  });
-}
-
-async function getAccessTokenCookie(url, name){
-  const cookie = await browser.cookies.get({ url, name });
-  return cookie?.value || '';
-}
-
-async function removeAccessTokenCookie(url, name){
-  await browser.cookies.remove({ url, name });
-}
-
-// saveSettings: store non-access-token fields in storage.local and access token in cookies
-async function saveSettings(platform, obj){
-  // keep storage.local structure
-  const st = await browser.storage.local.get('streamtime') || {};
-  st.streamtime = st.streamtime || {};
-  st.streamtime[platform] = Object.assign(st.streamtime[platform]||{}, obj);
-
-  // Extract and remove accessToken if present in obj
-  const accessToken = obj.accessToken;
-  if(accessToken !== undefined){
-    delete st.streamtime[platform].accessToken; // do not persist access token in storage.local
-  }
-
-  await browser.storage.local.set(st);
-
-  // Set cookie for access token if provided (or remove if empty)
-  if(platform === 'twitch'){
-    const url = 'https://api.twitch.tv/'; 
-    if(accessToken) await setAccessTokenCookie(url, 'twitch_access_token', accessToken);
-    else await removeAccessTokenCookie(url, 'twitch_access_token');
-  } else if(platform === 'kick'){
-    const url = 'https://kick.com/';
-    if(accessToken) await setAccessTokenCookie(url, 'kick_access_token', accessToken);
-    else await removeAccessTokenCookie(url, 'kick_access_token');
-  } else if(platform === 'youtube'){
-    const url = 'https://www.googleapis.com/';
-    if(accessToken) await setAccessTokenCookie(url, 'youtube_access_token', accessToken);
-    else await removeAccessTokenCookie(url, 'youtube_access_token');
-  }
-}
-
-// loadAll: read storage.local for non-access-token fields and read cookies for access tokens
-async function loadAll(){
-  const data = (await browser.storage.local.get('streamtime'))?.streamtime || {};
-
-  if(data.twitch){
-    document.getElementById('twitch-client-id').value = data.twitch.clientId || '';
-    document.getElementById('twitch-client-secret').value = data.twitch.clientSecret || '';
-    document.getElementById('twitch-access-token').value =
-      await getAccessTokenCookie('https://api.twitch.tv/', 'twitch_access_token') || '';
-    document.getElementById('twitch-refresh-token').value = data.twitch.refreshToken || '';
-    document.getElementById('twitch-channels').value = (data.twitch.channels || []).map(c=>c.login||c.name||c.id||'').join('\n');
-    if(data.twitch.channels && data.twitch.channels.length) showConverted('twitch', data.twitch.channels);
-  }
-
-  if(data.kick){
-    document.getElementById('kick-client-id').value = data.kick.clientId || '';
-    document.getElementById('kick-client-secret').value = data.kick.clientSecret || '';
-    document.getElementById('kick-access-token').value =
-      await getAccessTokenCookie('https://kick.com/', 'kick_access_token') || '';
-    document.getElementById('kick-refresh-token').value = data.kick.refreshToken || '';
-    document.getElementById('kick-channels').value = (data.kick.channels || []).map(c=>c.slug || c.id || '').join('\n');
-    if(data.kick.channels && data.kick.channels.length) showConverted('kick', data.kick.channels);
-  }
-
-  if(data.youtube){
-    document.getElementById('youtube-client-id').value = data.youtube.clientId || '';
-    document.getElementById('youtube-access-token').value =
-      await getAccessTokenCookie('https://www.googleapis.com/', 'youtube_access_token') || '';
-    document.getElementById('youtube-channels').value = (data.youtube.channels || []).map(c=>c.id||'').join('\n');
-    if(data.youtube.channels && data.youtube.channels.length) showConverted('youtube', data.youtube.channels);
-  }
-}
-
-// --- save buttons ---
-document.getElementById('twitch-save').addEventListener('click', async ()=> {
-  const clientId = document.getElementById('twitch-client-id').value.trim();
-  const clientSecret = document.getElementById('twitch-client-secret').value.trim();
-  const accessToken = document.getElementById('twitch-access-token').value.trim();
-  const refreshToken = document.getElementById('twitch-refresh-token').value.trim();
-  const convertedRaw = document.getElementById('twitch-converted').dataset.value;
-  const channels = convertedRaw ? JSON.parse(convertedRaw) : parseList(document.getElementById('twitch-channels').value).map(s=>({ login: s }));
-
-  await saveSettings('twitch', { clientId, clientSecret, accessToken, refreshToken, channels });
-  browser.runtime.sendMessage({ action: 'poll_now' });
-  alert('Saved Twitch settings and updated live list.');
-});
-
-document.getElementById('kick-save').addEventListener('click', async ()=> {
-  const clientId = document.getElementById('kick-client-id').value.trim();
-  const clientSecret = document.getElementById('kick-client-secret').value.trim();
-  const accessToken = document.getElementById('kick-access-token').value.trim();
-  const refreshToken = document.getElementById('kick-refresh-token').value.trim();
-  const convertedRaw = document.getElementById('kick-converted').dataset.value;
-  const channels = convertedRaw ? JSON.parse(convertedRaw) : parseList(document.getElementById('kick-channels').value).map(s=>({ slug: s }));
-
-  await saveSettings('kick', { clientId, clientSecret, accessToken, refreshToken, channels });
-  browser.runtime.sendMessage({ action: 'poll_now' });
-  alert('Saved Kick settings and updated live list.');
-});
-
-document.getElementById('youtube-save').addEventListener('click', async ()=> {
-  const apiKey = document.getElementById('youtube-client-id').value.trim();
-  const convertedRaw = document.getElementById('youtube-converted').dataset.value;
-  const channels = convertedRaw ? JSON.parse(convertedRaw) : parseList(document.getElementById('youtube-channels').value).map(s=>({ id: s }));
-
-  await saveSettings('youtube', { clientId: apiKey, channels });
-  browser.runtime.sendMessage({ action: 'poll_now' });
-  alert('Saved YouTube settings and updated live list.');
-});
-
-
-function showConverted(platform, list){
-  const el = document.getElementById(platform+'-converted');
-  el.style.display='block';
-  el.innerHTML = '<strong>Converted:</strong><br>' + list.map(x=>{
-    if(typeof x === 'string') return x;
-    // x is object
-    return (x.login || x.name || x.slug || x.id) + ' → ' + (x.id || x.user_id || x.channel_id || x.slug);
-  }).join('<br>');
-}
-
-// Twitch: convert usernames to ids via Helix /users?login=
-async function twitchConvert(usernames, clientId, accessToken){
-  if(!usernames.length) return [];
-  if(!clientId || !accessToken) throw new Error('Twitch client id and access token required for conversion.');
-  const chunks = [];
-  for(let i=0;i<usernames.length;i+=100) chunks.push(usernames.slice(i,i+100));
-  const results = [];
-  for(const chunk of chunks){
-    const url = 'https://api.twitch.tv/helix/users?'+ new URLSearchParams(chunk.map(u=>['login',u]));
-    const res = await fetch(url, {
-      headers: {
-        'Client-ID': clientId,
-        'Authorization': 'Bearer ' + accessToken,
-      }
-    });
-    if(!res.ok) {
-      const txt = await res.text();
-      throw new Error('Twitch users lookup failed: '+res.status+' '+txt);
-    }
-    const data = await res.json();
-    // data.data is an array of user objects with id and login
-    results.push(...(data.data||[]));
-  }
-  return results;
-}
-
-// Kick: attempt to convert slugs to channel objects.
-async function kickConvert(slugs, accessToken){
-    if(!slugs.length) return [];
-    
-    // Store results in a map for easy lookup by original slug
-    const resultsMap = new Map(slugs.map(s => [s, { slug: s, id: null }]));
-
-    // 1. Build the API URL for batch lookup using the 'slug' parameter
-    const url = new URL("https://api.kick.com/public/v1/channels");
-    
-    // Append multiple 'slug' parameters for batch lookup
-    for (const s of slugs) {
-        url.searchParams.append("slug", s);
-    }
-
-    const headers = {
-        "Accept": "application/json",
-    };
-    if (accessToken) {
-        headers.Authorization = 'Bearer ' + accessToken;
-		console.log("Kick has an access token! Yay!");
-    }
-    
-    try {
-        console.log(`[Kick Convert] Attempting batch lookup for ${slugs.length} slugs.`);
-        const res = await fetch(url.toString(), { headers });
-        
-        if (!res.ok) {
-            console.error(`Kick API lookup failed with status ${res.status}: ${res.statusText}`);
-            // Do not throw, just return the list of non-converted slugs
-            return Array.from(resultsMap.values());
-        }
-
-        const json = await res.json();
-        const channels = json.data || [];
-
-        // 2. Process the batch response
-        for (const ch of channels) {
-            const slug = ch.slug;
-            const id = ch.broadcaster_user_id;
-
-            if (slug && id) {
-                // If a channel was successfully found, update the results map
-                resultsMap.set(slug, { 
-                    slug: slug,
-                    id: id,
-                    user_id: id, // For consistency with previous logic
-                    name: ch.name || ch.slug 
-                });
-            } else {
-                console.warn(`[Kick Convert] Found channel object but missing slug or ID:`, ch);
-            }
-        }
-        
-        console.log(`[Kick Convert] Successfully converted ${channels.length} slugs.`);
-        
-    } catch(e){
-        console.error(`Kick batch conversion error:`, e);
-    }
-
-    // 3. Return the array of all results (converted or not)
-    return Array.from(resultsMap.values());
-}
-
-
-// YouTube: convert names/handles to channel IDs using Data API v3
-async function youtubeConvert(list, apiKey){
-  if(!list.length) return [];
-  const results = [];
-  for(const token of list){
-    // If it already looks like a channel ID (starts with UC), keep it
-    if(/^UC[A-Za-z0-9_-]{20,}$/.test(token)){
-      results.push({ id: token });
-      continue;
-    }
-    // try "forUsername" first
-    try {
-      const urlByName = 'https://www.googleapis.com/youtube/v3/channels?part=snippet&forUsername=' + encodeURIComponent(token) + '&key=' + encodeURIComponent(apiKey);
-      const r1 = await fetch(urlByName);
-      if(r1.ok){
-        const j1 = await r1.json();
-        if(j1.items && j1.items.length){
-          results.push({ id: j1.items[0].id, title: j1.items[0].snippet.title });
-          continue;
-        }
-      }
-    } catch(e){}
-    // fallback: try search by channel handle / custom url using search endpoint
-    try {
-      const urlSearch = 'https://www.googleapis.com/youtube/v3/search?part=snippet&type=channel&q=' + encodeURIComponent(token) + '&key=' + encodeURIComponent(apiKey);
-      const r2 = await fetch(urlSearch);
-      if(r2.ok){
-        const j2 = await r2.json();
-        if(j2.items && j2.items.length){
-          results.push({ id: j2.items[0].snippet.channelId, title: j2.items[0].snippet.channelTitle });
-          continue;
-        }
-      }
-    } catch(e){}
-    results.push({ query: token, id: null });
-  }
-  return results;
-}
-
-// EVENT HANDLERS for UI buttons
-document.getElementById('twitch-convert').addEventListener('click', async ()=>{
-  const clientId = document.getElementById('twitch-client-id').value.trim();
-  const accessToken = document.getElementById('twitch-access-token').value.trim();
-  const raw = parseList(document.getElementById('twitch-channels').value);
-  try{
-    const r = await twitchConvert(raw, clientId, accessToken);
-    document.getElementById('twitch-converted').style.display='block';
-    document.getElementById('twitch-converted').innerHTML = '<strong>Converted:</strong><br>' + (r.map(u=>`${u.login || u.display_name || u.broadcaster_login || ''} → ${u.id}`).join('<br>'));
-    document.getElementById('twitch-converted').dataset.value = JSON.stringify(r);
-  }catch(err){
-    alert('Twitch convert failed: '+err.message);
-  }
-});
-
-document.getElementById('kick-convert').addEventListener('click', async ()=>{
-  const accessToken = document.getElementById('kick-access-token').value.trim();
-  const raw = parseList(document.getElementById('kick-channels').value);
-  try{
-    const r = await kickConvert(raw, accessToken);
-    document.getElementById('kick-converted').style.display='block';
-    document.getElementById('kick-converted').innerHTML = '<strong>Converted:</strong><br>' + (r.map(c=>`${c.slug || c.name || ''} → ${c.id || 'Failed'}`).join('<br>'));
-    document.getElementById('kick-converted').dataset.value = JSON.stringify(r);
-  }catch(err){
-    alert('Kick conversion failed: '+err.message);
-  }
-});
-
-document.getElementById('youtube-convert').addEventListener('click', async ()=>{
-  const apiKey = document.getElementById('youtube-client-id').value.trim();
-  const raw = parseList(document.getElementById('youtube-channels').value);
-  try{
-    const r = await youtubeConvert(raw, apiKey);
-    document.getElementById('youtube-converted').style.display='block';
-    document.getElementById('youtube-converted').innerHTML = '<strong>Converted:</strong><br>' + (r.map(c=>`${c.query || c.title || ''} → ${c.id || 'Failed'}`).join('<br>'));
-    document.getElementById('youtube-converted').dataset.value = JSON.stringify(r);
-  }catch(err){
-    alert('YouTube conversion failed: '+err.message);
-  }
-});
-
-
-// IIFE for initialization and OAuth flows
-(async () => {
-  // Load settings initially
-  await loadAll(); 
-  
-  const redirectUri = browser.identity.getRedirectURL();
-  document.getElementById('twitch-redirect-uri').textContent = redirectUri;
-  document.getElementById('kick-redirect-uri').textContent = redirectUri;
-
-  // ---- TWITCH AUTH FLOW ----
-  document.getElementById('twitch-auth').addEventListener('click', async () => {
-    const clientId = document.getElementById('twitch-client-id').value.trim();
-    const clientSecret = document.getElementById('twitch-client-secret').value.trim();
-    if (!clientId) return alert('Enter your Twitch Client ID first.');
-
-    const authUrl = `https://id.twitch.tv/oauth2/authorize?` + new URLSearchParams({
-      client_id: clientId,
-      redirect_uri: redirectUri,
-      response_type: 'code',
-      scope: 'user:read:email'
-    });
-
-    try {
-      const redirectData = await browser.identity.launchWebAuthFlow({
-        url: authUrl,
-        interactive: true
-      });
-
-      const code = new URL(redirectData).searchParams.get('code');
-      if (!code) throw new Error('No authorization code returned.');
-
-      const tokenRes = await fetch('https://id.twitch.tv/oauth2/token', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({
-          client_id: clientId,
-          client_secret: clientSecret,
-          code,
-          grant_type: 'authorization_code',
-          redirect_uri: redirectUri
-        })
-      });
-
-      const tokenData = await tokenRes.json();
-      console.log('Twitch token response:', tokenData);
-
-      if (tokenData.access_token) {
-        document.getElementById('twitch-access-token').value = tokenData.access_token;
-      }
-      if (tokenData.refresh_token) {
-        document.getElementById('twitch-refresh-token').value = tokenData.refresh_token;
-      }
-
-      if (!tokenData.access_token && !tokenData.refresh_token) {
-        alert('Twitch authorization response received but no tokens returned. Check console for full data.');
-      } else {
-        alert('Twitch authorization successful! Remember to click Save.');
-      }
-    } catch (e) {
-      console.error('Twitch OAuth failed:', e);
-      alert('Twitch authorization failed. Check console.');
-    }
-  });
-
-  // ---- KICK AUTH FLOW (MODIFIED FOR PKCE) ----
-  document.getElementById('kick-auth').addEventListener('click', async () => {
-    const clientId = document.getElementById('kick-client-id').value.trim();
-    const clientSecret = document.getElementById('kick-client-secret').value.trim();
-    if (!clientId) return alert('Enter your Kick Client ID first.');
-
-    // --- PKCE GENERATION ---
-    const state = generateRandomString(32);
-    const codeVerifier = generateRandomString(); // Default 64 length
-    const codeChallenge = await generateCodeChallenge(codeVerifier);
-    // -----------------------
-
-    const authUrl = `https://id.kick.com/oauth/authorize?` + new URLSearchParams({
-      client_id: clientId,
-      redirect_uri: redirectUri,
-      response_type: 'code',
-      scope: 'user:read channel:read events:subscribe',
-      state: state,
-      code_challenge: codeChallenge,
-      code_challenge_method: 'S256'
-    });
-
-    console.log(`Generated auth URL for kick.com = ${authUrl}`);
-
-    try {
-      const redirectData = await browser.identity.launchWebAuthFlow({
-        url: authUrl,
-        interactive: true
-      });
-
-      const urlParams = new URL(redirectData).searchParams;
-      const code = urlParams.get('code');
-      const returnedState = urlParams.get('state');
-
-      if (!code) throw new Error('No authorization code returned. Did you click Authorize?');
-      if (returnedState !== state) throw new Error('State mismatch. Potential CSRF attack.');
-
-      const tokenRes = await fetch('https://id.kick.com/oauth/token', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({
-          client_id: clientId,
-          client_secret: clientSecret,
-          code: code,
-          grant_type: 'authorization_code',
-          redirect_uri: redirectUri,
-          code_verifier: codeVerifier // PKCE parameter
-        })
-      });
-
-      const tokenData = await tokenRes.json();
-      console.log('Kick token response:', tokenData);
-
-      if (tokenData.access_token) {
-        document.getElementById('kick-access-token').value = tokenData.access_token;
-      }
-      if (tokenData.refresh_token) {
-        document.getElementById('kick-refresh-token').value = tokenData.refresh_token;
-      }
-
-      if (!tokenData.access_token && !tokenData.refresh_token) {
-        alert('Kick authorization response received but no tokens returned. Check console for full data.');
-      } else {
-        alert('Kick authorization successful! Remember to click Save.');
-      }
-    } catch (e) {
-      console.error('Kick OAuth failed:', e);
-      alert('Kick authorization failed. See console.');
-    }
-  });
+// options.js
+
+// --- PKCE Utility Functions (NEW) ---
+
+// Generate a random string for state or verifier (must be URL-safe)
+function generateRandomString(length = 64) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+    let randomString = '';
+    const array = new Uint8Array(length);
+    window.crypto.getRandomValues(array);
+    for (let i = 0; i < length; i++) {
+        randomString += chars[array[i] % chars.length];
+    }
+    return randomString;
+}
+
+// Convert ArrayBuffer to URL-safe base64 string
+function base64UrlEncode(buffer) {
+    // btoa requires binary string input.
+    const binary = String.fromCharCode.apply(null, new Uint8Array(buffer));
+    return btoa(binary)
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, ''); // Remove padding
+}
+
+// Generate the S256 code challenge from the code verifier
+async function generateCodeChallenge(codeVerifier) {
+    const data = new TextEncoder().encode(codeVerifier);
+    const digest = await window.crypto.subtle.digest('SHA-256', data);
+    return base64UrlEncode(digest);
+}
+
+// --- Tab Switching Logic ---
+document.querySelectorAll('.tab').forEach(t=>{
+  t.addEventListener('click', ()=> {
+    document.querySelectorAll('.tab').forEach(x=>x.classList.remove('active'));
+    document.querySelectorAll('.panel').forEach(p=>p.classList.remove('active'));
+    t.classList.add('active');
+    document.getElementById(t.dataset.target).classList.add('active');
+  });
+});
+
+// utility: split channel input into tokens (see parseChannelInput() for what a token may be)
+function parseList(s){
+  if(!s) return [];
+  return s.split(/\s*[,\n]\s*/).map(x=>x.trim()).filter(Boolean);
+}
+
+// --- save / load helpers ---
+// helper cookie functions (url should match the host that should receive the cookie)
+// expiresInSeconds comes from the token response; without it the cookie lives for a week
+async function setAccessTokenCookie(url, name, value, expiresInSeconds = 7*24*60*60){
+  const expires = Math.floor(Date.now()/1000) + expiresInSeconds;
+  await browser.cookies.set({
+    url,
+    name,
+    value: value || '',
+    path: '/',
+    secure: true,
+    sameSite: 'lax',
+    expirationDate: expires
+  });
+}
+
+async function getAccessTokenCookie(url, name){
+  const cookie = await browser.cookies.get({ url, name });
+  return cookie?.value || '';
+}
+
+async function removeAccessTokenCookie(url, name){
+  await browser.cookies.remove({ url, name });
+}
+
+// saveSettings: store non-access-token fields in storage.local and access token in cookies
+async function saveSettings(platform, obj){
+  // keep storage.local structure
+  const st = await browser.storage.local.get('streamtime') || {};
+  st.streamtime = st.streamtime || {};
+  if(obj.channels){
+    obj.channels = keepChannelPrefs(platform, obj.channels, st.streamtime[platform]?.channels);
+  }
+
+  // with the vault enabled, secrets go to the background page to be encrypted (see vault.js)
+  const vault = await browser.runtime.sendMessage({ action: 'vault_status' });
+  if(vault?.enabled){
+    const secrets = {};
+    for(const field of PROVIDER_SECRET_FIELDS){
+      if(obj[field] === undefined) continue;
+      secrets[field] = obj[field];
+      delete obj[field];
+    }
+    if(vault.unlocked && Object.keys(secrets).length){
+      await browser.runtime.sendMessage({ action: 'vault_store', platform, secrets });
+    }else if(Object.values(secrets).some(Boolean)){
+      alert('The vault is locked, so client secrets and tokens were not saved. Unlock it and save again.');
+    }
+  }
+
+  st.streamtime[platform] = Object.assign(st.streamtime[platform]||{}, obj);
+
+  // Extract and remove accessToken if present in obj
+  const accessToken = obj.accessToken;
+  if(accessToken !== undefined){
+    delete st.streamtime[platform].accessToken; // do not persist access token in storage.local
+  }
+
+  await browser.storage.local.set(st);
+
+  // Set cookie for access token if provided (or remove if empty)
+  const cookie = getProvider(platform)?.tokenCookie;
+  if(cookie && accessToken !== undefined){
+    const expiresIn = obj.tokenExpiresAt ? Math.floor((new Date(obj.tokenExpiresAt).getTime() - Date.now())/1000) : 0;
+    if(accessToken) await setAccessTokenCookie(cookie.url, cookie.name, accessToken, expiresIn > 0 ? expiresIn : undefined);
+    else await removeAccessTokenCookie(cookie.url, cookie.name);
+  }
+}
+
+// loadAll: read storage.local for non-access-token fields and read cookies for access tokens
+async function loadAll(){
+  const data = (await browser.storage.local.get('streamtime'))?.streamtime || {};
+  renderAllChannelPrefs(data);
+  lastLiveTimes = (await browser.storage.local.get('streamtime_last_live')).streamtime_last_live || {};
+  renderAllChannelManagers(data);
+  const vault = await browser.runtime.sendMessage({ action: 'vault_secrets' });
+
+  if(data.twitch){
+    document.getElementById('twitch-client-id').value = data.twitch.clientId || '';
+    document.getElementById('twitch-client-secret').value = data.twitch.clientSecret || '';
+    document.getElementById('twitch-access-token').value =
+      await getAccessTokenCookie('https://api.twitch.tv/', 'twitch_access_token') || '';
+    document.getElementById('twitch-refresh-token').value = data.twitch.refreshToken || '';
+    document.getElementById('twitch-access-token').dataset.expiresAt = data.twitch.tokenExpiresAt || '';
+    document.getElementById('twitch-sync-follows').checked = !!data.twitch.syncFollows;
+  }
+
+  if(data.kick){
+    document.getElementById('kick-client-id').value = data.kick.clientId || '';
+    document.getElementById('kick-client-secret').value = data.kick.clientSecret || '';
+    document.getElementById('kick-access-token').value =
+      await getAccessTokenCookie('https://kick.com/', 'kick_access_token') || '';
+    document.getElementById('kick-refresh-token').value = data.kick.refreshToken || '';
+    document.getElementById('kick-access-token').dataset.expiresAt = data.kick.tokenExpiresAt || '';
+  }
+
+  if(data.youtube){
+    document.getElementById('youtube-client-id').value = data.youtube.clientId || '';
+    document.getElementById('youtube-oauth-client-id').value = data.youtube.oauthClientId || '';
+    document.getElementById('youtube-oauth-client-secret').value = data.youtube.oauthClientSecret || '';
+    document.getElementById('youtube-access-token').value =
+      await getAccessTokenCookie('https://www.googleapis.com/', 'youtube_access_token') || '';
+    document.getElementById('youtube-refresh-token').value = data.youtube.refreshToken || '';
+    document.getElementById('youtube-access-token').dataset.expiresAt = data.youtube.tokenExpiresAt || '';
+    document.getElementById('youtube-sync-follows').checked = !!data.youtube.syncFollows;
+  }
+
+  if(vault?.enabled) fillVaultSecrets(vault.secrets || {});
+}
+
+// Secret fields map to inputs named <platform>-<field in kebab case>, e.g. twitch-client-secret
+function fillVaultSecrets(secrets){
+  for(const [platform, values] of Object.entries(secrets)){
+    for(const [field, value] of Object.entries(values)){
+      const el = document.getElementById(platform + '-' + field.replace(/[A-Z]/g, c=>'-'+c.toLowerCase()));
+      if(el) el.value = value;
+    }
+  }
+}
+
+// --- per-channel notification preferences ---
+// Stored on each entry of streamtime.<platform>.channels and read by background.js before notifying.
+const CHANNEL_PREF_FIELDS = ['notify', 'favourite', 'sound', 'mutedUntil', 'groups'];
+
+// Carry preferences (and follow flags, see follows.js) over from the saved entries when a channel list is saved again
+function keepChannelPrefs(platform, channels, previous){
+  const provider = getProvider(platform);
+  const byKey = new Map((previous || []).map(c=>[provider.channelKey(c), c]));
+  return channels.map(c=>{
+    const old = byKey.get(provider.channelKey(c));
+    if(!old) return c;
+    const prefs = {};
+    for(const field of [...CHANNEL_PREF_FIELDS, ...FOLLOW_FIELDS]) if(old[field] !== undefined) prefs[field] = old[field];
+    return Object.assign({}, c, prefs);
+  });
+}
+
+async function updateChannelPrefs(platform, channelKey, patch){
+  const provider = getProvider(platform);
+  const st = (await browser.storage.local.get('streamtime')).streamtime || {};
+  const entry = (st[platform]?.channels || []).find(c=>provider.channelKey(c) === channelKey);
+  if(!entry) return;
+  Object.assign(entry, patch);
+  await browser.storage.local.set({ streamtime: st });
+}
+
+function renderChannelPrefs(platform, channels, groups = []){
+  const provider = getProvider(platform);
+  const el = document.getElementById(platform+'-prefs');
+  if(!el) return;
+  const list = (channels || []).filter(c=>provider.channelKey(c));
+  el.innerHTML = '';
+  el.style.display = list.length ? 'block' : 'none';
+  if(!list.length) return;
+
+  const table = document.createElement('table');
+  table.className = 'prefs';
+  table.innerHTML = '<tr><th>Channel</th><th>Notify</th><th>Favourite</th><th>Sound</th>' + (groups.length ? '<th>Groups</th>' : '') + '<th></th></tr>';
+  for(const c of list){
+    const key = provider.channelKey(c);
+    const tr = document.createElement('tr');
+    const name = document.createElement('td');
+    name.textContent = provider.channelName(c);
+    if(c.unfollowed){
+      const flag = document.createElement('span');
+      flag.className = 'muted small';
+      flag.textContent = ' (no longer followed)';
+      flag.title = 'Unfollowed on ' + new Date(c.unfollowedAt).toLocaleDateString() + '; remove it from the list above if you no longer want it checked.';
+      name.appendChild(flag);
+    }
+    tr.appendChild(name);
+
+    for(const field of ['notify', 'favourite', 'sound']){
+      const td = document.createElement('td');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      // notifications are on unless explicitly turned off; the others are opt-in
+      box.checked = field === 'notify' ? c.notify !== false : !!c[field];
+      box.addEventListener('change', ()=> updateChannelPrefs(platform, key, { [field]: box.checked }));
+      td.appendChild(box);
+      tr.appendChild(td);
+    }
+
+    if(groups.length){
+      const td = document.createElement('td');
+      for(const group of groups){
+        const label = document.createElement('label');
+        label.className = 'check';
+        label.innerHTML = `<input type="checkbox" data-group="${escapeHtml(group.id)}"> ${escapeHtml(group.name)}`;
+        label.querySelector('input').checked = !!c.groups?.includes(group.id);
+        td.appendChild(label);
+      }
+      td.addEventListener('change', ()=> updateChannelPrefs(platform, key, {
+        groups: Array.from(td.querySelectorAll('input:checked')).map(box=>box.dataset.group)
+      }));
+      tr.appendChild(td);
+    }
+
+    const muted = document.createElement('td');
+    if(c.mutedUntil && new Date(c.mutedUntil).getTime() > Date.now()){
+      muted.className = 'muted small';
+      muted.textContent = 'Muted until ' + new Date(c.mutedUntil).toLocaleString() + ' ';
+      const unmute = document.createElement('button');
+      unmute.textContent = 'Unmute';
+      unmute.addEventListener('click', ()=> updateChannelPrefs(platform, key, { mutedUntil: null }));
+      muted.appendChild(unmute);
+    }else{
+      const mute = document.createElement('button');
+      mute.textContent = 'Mute for today';
+      mute.addEventListener('click', ()=> updateChannelPrefs(platform, key, { mutedUntil: endOfToday() }));
+      muted.appendChild(mute);
+    }
+    tr.appendChild(muted);
+    table.appendChild(tr);
+  }
+  el.innerHTML = '<strong>Notifications:</strong>';
+  el.appendChild(table);
+}
+
+function renderAllChannelPrefs(data){
+  for(const provider of listProviders()) renderChannelPrefs(provider.id, data[provider.id]?.channels, listGroups(data));
+}
+
+// --- channel manager ---
+// One table per platform listing streamtime.<platform>.channels in order. Every change is saved at
+// once and the tables re-render from storage, so resolved IDs cannot get lost before a Save.
+
+let lastLiveTimes = {}; // streamtime_last_live (written by background.js), "platform:channelKey" -> ISO time
+let shownChannels = {}; // platform -> channel list as last rendered, for click handlers that cannot wait for storage
+
+// Self-hosted platforms (Owncast, PeerTube) have no credentials
+function platformCredentials(platform){
+  return {
+    clientId: document.getElementById(platform + '-client-id')?.value.trim() || '',
+    accessToken: document.getElementById(platform + '-access-token')?.value.trim() || ''
+  };
+}
+
+// What the user typed for an entry (the provider's inputField), or its resolved name
+function channelInputName(platform, c){
+  const provider = getProvider(platform);
+  return c[provider.inputField] || provider.channelName(c);
+}
+
+/**
+ * Asks for access to the servers of self-hosted channels (optional_permissions). Firefox only shows
+ * the prompt for user input, so this has to be called before the first await of a click handler.
+ * @param {Map<string, string[]>} targets - Provider id -> resolveChannels() inputs.
+ * @returns {Promise<boolean>} Whether access was granted (true when none is needed).
+ */
+function requestChannelHosts(targets){
+  const origins = new Set();
+  for(const [platform, inputs] of targets){
+    const provider = getProvider(platform);
+    if(provider.hostPermissions) for(const input of inputs) provider.hostPermissions(input).forEach(o=>origins.add(o));
+  }
+  return origins.size ? browser.permissions.request({ origins: [...origins] }) : Promise.resolve(true);
+}
+
+async function editChannelList(platform, change){
+  const channels = (await browser.storage.local.get('streamtime')).streamtime?.[platform]?.channels || [];
+  await change(channels);
+  await saveSettings(platform, { channels });
+}
+
+/**
+ * Looks up one typed channel. Failures are kept as unresolved entries with the reason, so the
+ * row can be retried instead of the input getting lost.
+ */
+async function resolveChannelInput(platform, input){
+  const provider = getProvider(platform);
+  try{
+    const entries = await provider.resolveChannels([input], platformCredentials(platform));
+    const found = entries.find(c=>provider.channelKey(c)) || entries.find(c=>c.candidates?.length);
+    if(found) return found;
+    return { [provider.inputField]: input, resolveError: 'Not found' };
+  }catch(err){
+    return { [provider.inputField]: input, resolveError: err.message };
+  }
+}
+
+/**
+ * Adds typed or pasted channels. Links to another platform's site go to that platform's list.
+ * @param {string} platform - Provider id of the list the input was entered for.
+ * @param {string[]} inputs - Lines from parseList().
+ */
+async function addChannels(platform, inputs){
+  const targets = new Map(); // provider id -> normalized inputs
+  const invalid = [];
+  for(const text of inputs){
+    const parsed = parseChannelInput(text, platform);
+    if(!parsed.input){ invalid.push(text); continue; }
+    if(!targets.has(parsed.platform)) targets.set(parsed.platform, []);
+    targets.get(parsed.platform).push(parsed.input);
+  }
+
+  const denied = [];
+  if(!(await requestChannelHosts(targets))){
+    for(const [target, names] of targets){
+      if(!getProvider(target).hostPermissions) continue;
+      denied.push(...names);
+      targets.delete(target);
+    }
+  }
+
+  const skipped = [];
+  const moved = [];
+  for(const [target, names] of targets){
+    const provider = getProvider(target);
+    await editChannelList(target, async (channels)=>{
+      for(const input of names){
+        const typed = (c)=> channelInputName(target, c).toLowerCase() === input.toLowerCase();
+        if(channels.some(typed)){ skipped.push(input); continue; }
+        const entry = await resolveChannelInput(target, input);
+        const key = provider.channelKey(entry);
+        if(key && channels.some(c=>provider.channelKey(c) === key)){ skipped.push(input); continue; }
+        channels.push(entry);
+      }
+    });
+    if(target !== platform) moved.push(`${provider.label}: ${names.join(', ')}`);
+  }
+  browser.runtime.sendMessage({ action: 'poll_now' });
+
+  const notes = [];
+  if(moved.length) notes.push('Added to other platforms:\n' + moved.join('\n'));
+  if(skipped.length) notes.push('Already in the list: ' + skipped.join(', '));
+  if(invalid.length) notes.push('Not a channel name or link: ' + invalid.join(', '));
+  if(denied.length) notes.push('Not added, access to the server was not allowed: ' + denied.join(', '));
+  if(notes.length) alert(notes.join('\n\n'));
+}
+
+async function runChannelAction(platform, action, index, value){
+  const provider = getProvider(platform);
+  await editChannelList(platform, async (channels)=>{
+    if(action === 'up' && index > 0) channels.splice(index - 1, 0, ...channels.splice(index, 1));
+    else if(action === 'down' && index < channels.length - 1) channels.splice(index + 1, 0, ...channels.splice(index, 1));
+    else if(action === 'remove') channels.splice(index, 1);
+    else if(action === 'resolve'){
+      const old = channels[index];
+      channels[index] = Object.assign({}, old, await resolveChannelInput(platform, channelInputName(platform, old)));
+      if(provider.channelKey(channels[index])){
+        delete channels[index].resolveError;
+        delete channels[index].candidates;
+      }
+    }
+    else if(action === 'pick'){
+      const old = channels[index];
+      const picked = old.candidates?.find(c=>provider.channelKey(c) === value);
+      if(!picked) return;
+      channels[index] = Object.assign({}, old, picked);
+      delete channels[index].candidates;
+      delete channels[index].resolveError;
+      await provider.rememberResolution?.(channelInputName(platform, old), picked);
+    }
+  });
+  if(action === 'resolve' || action === 'pick') browser.runtime.sendMessage({ action: 'poll_now' });
+}
+
+function channelStatus(provider, c, duplicates){
+  const key = provider.channelKey(c);
+  if(!key && c.candidates?.length){
+    return 'Pick one: <select>' + c.candidates.map(cand=>
+      `<option value="${escapeHtml(provider.channelKey(cand))}">${escapeHtml(provider.channelName(cand))}</option>`).join('') + '</select>';
+  }
+  if(!key) return c.resolveError ? `<span class="bad">${escapeHtml(c.resolveError)}</span>` : '<span class="muted">Not resolved</span>';
+  if(duplicates.has(key)) return '<span class="bad">Duplicate</span>';
+  if(c.unfollowed) return '<span class="muted">No longer followed</span>';
+  return '<span class="ok">Resolved</span>';
+}
+
+function renderChannelManager(platform, channels){
+  const provider = getProvider(platform);
+  const table = document.getElementById(platform + '-channel-table');
+  if(!table) return;
+  shownChannels[platform] = channels;
+  const keys = channels.map(c=>provider.channelKey(c)).filter(Boolean);
+  const duplicates = new Set(keys.filter((k, i)=>keys.indexOf(k) !== i));
+
+  const rows = ['<tr><th></th><th>Channel</th><th>ID</th><th>Status</th><th>Last live</th><th></th></tr>'];
+  channels.forEach((c, i)=>{
+    const key = provider.channelKey(c);
+    const avatar = provider.channelAvatar?.(c);
+    const name = key
+      ? `<a href="${escapeHtml(provider.channelUrl(c))}" target="_blank" rel="noopener noreferrer">${escapeHtml(provider.channelName(c))}</a>`
+      : escapeHtml(channelInputName(platform, c));
+    const lastLive = key && lastLiveTimes[`${platform}:${key}`];
+    rows.push(`<tr><td>${avatar ? `<img class="avatar" src="${escapeHtml(avatar)}" alt="">` : '<span class="avatar"></span>'}</td>` +
+      `<td>${name}</td><td class="muted small">${escapeHtml(key || '—')}</td>` +
+      `<td>${channelStatus(provider, c, duplicates)}</td><td class="small">${lastLive ? formatTime(lastLive) : '—'}</td><td>` +
+      (!key && c.candidates?.length ? `<button data-action="pick" data-index="${i}">Use</button> ` : '') +
+      (key ? '' : `<button data-action="resolve" data-index="${i}">Resolve</button> `) +
+      `<button data-action="up" data-index="${i}" title="Move up">↑</button> ` +
+      `<button data-action="down" data-index="${i}" title="Move down">↓</button> ` +
+      `<button data-action="remove" data-index="${i}" title="Remove">✕</button></td></tr>`);
+  });
+  if(!channels.length) rows.push('<tr><td colspan="6" class="muted small">No channels yet.</td></tr>');
+  table.innerHTML = rows.join('');
+}
+
+function renderAllChannelManagers(data){
+  for(const provider of listProviders()) renderChannelManager(provider.id, data[provider.id]?.channels || []);
+}
+
+for(const provider of listProviders()){
+  const table = document.getElementById(provider.id + '-channel-table');
+  if(!table) continue;
+  table.addEventListener('click', async (e)=>{
+    const button = e.target.closest('button[data-action]');
+    if(!button) return;
+    button.disabled = true;
+    const picked = button.closest('tr').querySelector('select')?.value;
+    if(button.dataset.action === 'resolve'){
+      const c = shownChannels[provider.id]?.[Number(button.dataset.index)];
+      if(c && !(await requestChannelHosts(new Map([[provider.id, [channelInputName(provider.id, c)]]])))){
+        button.disabled = false;
+        return;
+      }
+    }
+    await runChannelAction(provider.id, button.dataset.action, Number(button.dataset.index), picked);
+  });
+
+  document.getElementById(provider.id + '-channel-add').addEventListener('click', async (e)=>{
+    const input = document.getElementById(provider.id + '-channel-input');
+    const names = parseList(input.value);
+    if(!names.length) return;
+    e.target.disabled = true;
+    try{
+      await addChannels(provider.id, names);
+      input.value = '';
+    }finally{
+      e.target.disabled = false;
+    }
+  });
+
+  document.getElementById(provider.id + '-host-access')?.addEventListener('click', async ()=>{
+    const inputs = (shownChannels[provider.id] || []).map(c=>channelInputName(provider.id, c));
+    if(!inputs.length) return alert('No channels in the list yet.');
+    if(!(await requestChannelHosts(new Map([[provider.id, inputs]])))) return alert('Access was not allowed.');
+    browser.runtime.sendMessage({ action: 'poll_now' });
+    alert(`Access allowed; checking the ${provider.label} channels now.`);
+  });
+}
+
+// --- general settings ---
+async function loadGeneral(){
+  const data = (await browser.storage.local.get('streamtime'))?.streamtime || {};
+  document.getElementById('notify-scope').value = data.notifications?.scope || 'all';
+  renderGroups(data);
+  renderQuietHours(data);
+  const types = document.getElementById('event-types');
+  types.innerHTML = '';
+  for(const [type, info] of Object.entries(STREAM_EVENT_TYPES)){
+    const row = document.createElement('label');
+    row.className = 'check';
+    row.innerHTML = `<input type="checkbox" data-event="${type}"> ${info.label}`;
+    row.querySelector('input').checked = isStreamEventEnabled(type, data.events);
+    types.appendChild(row);
+  }
+  document.getElementById('viewer-thresholds').value = viewerThresholds(data.events).join(', ');
+  document.getElementById('reminder-minutes').value = data.events?.reminderMinutes || '';
+  const badge = document.getElementById('badge-platforms');
+  badge.innerHTML = '';
+  for(const provider of listProviders()){
+    const row = document.createElement('label');
+    row.className = 'check';
+    row.innerHTML = `<input type="checkbox" data-platform="${provider.id}"> ${provider.label}`;
+    row.querySelector('input').checked = !data.badge?.platforms || data.badge.platforms.includes(provider.id);
+    badge.appendChild(row);
+  }
+  document.getElementById('popup-show-offline').checked = !!data.popup?.showOffline;
+  const polling = document.getElementById('polling-table');
+  polling.innerHTML = '<tr><th>Platform</th><th>All channels (minutes)</th><th>Favourites (minutes)</th></tr>';
+  for(const provider of listProviders()){
+    const config = data.polling?.[provider.id] || {};
+    const row = document.createElement('tr');
+    row.dataset.platform = provider.id;
+    row.innerHTML = `<td>${escapeHtml(provider.label)}</td>` +
+      '<td><input type="number" min="1" data-field="minutes" placeholder="1"></td>' +
+      '<td><input type="number" min="1" data-field="favouriteMinutes" placeholder="same"></td>';
+    row.querySelector('[data-field=minutes]').value = config.minutes || '';
+    row.querySelector('[data-field=favouriteMinutes]').value = config.favouriteMinutes || '';
+    polling.appendChild(row);
+  }
+  document.getElementById('history-retention-days').value = data.history?.retentionDays || '';
+  document.getElementById('history-max-sessions').value = data.history?.maxSessions || '';
+}
+
+document.getElementById('general-save').addEventListener('click', async ()=>{
+  const st = (await browser.storage.local.get('streamtime')).streamtime || {};
+  st.events = {
+    viewerThresholds: document.getElementById('viewer-thresholds').value.split(',')
+      .map(x=>Number(x.trim())).filter(n=>n>0).sort((a, b)=>a - b),
+    reminderMinutes: Number(document.getElementById('reminder-minutes').value) || undefined
+  };
+  document.querySelectorAll('#event-types input').forEach(box=>{ st.events[box.dataset.event] = box.checked; });
+  st.badge = {
+    platforms: Array.from(document.querySelectorAll('#badge-platforms input:checked')).map(box=>box.dataset.platform)
+  };
+  st.polling = {};
+  document.querySelectorAll('#polling-table tr[data-platform]').forEach(row=>{
+    st.polling[row.dataset.platform] = {
+      minutes: Number(row.querySelector('[data-field=minutes]').value) || undefined,
+      favouriteMinutes: Number(row.querySelector('[data-field=favouriteMinutes]').value) || undefined
+    };
+  });
+  st.popup = Object.assign({}, st.popup, { showOffline: document.getElementById('popup-show-offline').checked });
+  st.history = {
+    retentionDays: Number(document.getElementById('history-retention-days').value) || undefined,
+    maxSessions: Number(document.getElementById('history-max-sessions').value) || undefined
+  };
+  await browser.storage.local.set({ streamtime: st });
+  alert('Saved general settings.');
+});
+
+document.getElementById('open-history').addEventListener('click', ()=>{
+  browser.tabs.create({ url: browser.runtime.getURL('history.html') });
+});
+
+// --- channel groups (see channel-groups.js) ---
+async function updateSettings(change){
+  const st = (await browser.storage.local.get('streamtime')).streamtime || {};
+  change(st);
+  await browser.storage.local.set({ streamtime: st });
+}
+
+function renderGroups(data){
+  const groups = listGroups(data);
+  const list = document.getElementById('group-list');
+  list.innerHTML = groups.length ? '' : '<div class="muted small">No groups yet.</div>';
+  for(const group of groups){
+    const row = document.createElement('div');
+    row.className = 'row';
+    row.innerHTML = '<input type="text"><button>Delete</button>';
+    const name = row.querySelector('input');
+    name.value = group.name;
+    name.addEventListener('change', ()=> updateSettings(st=>{ st.groups[group.id].name = name.value.trim() || group.name; }));
+    row.querySelector('button').addEventListener('click', ()=>{
+      if(!confirm(`Delete the group "${group.name}"? Its channels stay in your lists.`)) return;
+      updateSettings(st=>{
+        delete st.groups[group.id];
+        for(const provider of listProviders()){
+          for(const c of st[provider.id]?.channels || []) if(c.groups) c.groups = c.groups.filter(id=>id !== group.id);
+        }
+        if(st.notifications?.groups) st.notifications.groups = st.notifications.groups.filter(id=>id !== group.id);
+      });
+    });
+    list.appendChild(row);
+  }
+
+  const notify = document.getElementById('notify-groups');
+  notify.innerHTML = '';
+  for(const group of groups){
+    const row = document.createElement('label');
+    row.className = 'check';
+    row.innerHTML = `<input type="checkbox" data-group="${escapeHtml(group.id)}"> ${escapeHtml(group.name)}`;
+    row.querySelector('input').checked = !!data.notifications?.groups?.includes(group.id);
+    notify.appendChild(row);
+  }
+  document.getElementById('notify-groups-row').style.display = groups.length ? 'block' : 'none';
+}
+
+document.getElementById('group-add').addEventListener('click', async ()=>{
+  const input = document.getElementById('group-name');
+  const name = input.value.trim();
+  if(!name) return;
+  await updateSettings(st=>{ st.groups = Object.assign(st.groups || {}, { [createGroupId()]: { name } }); });
+  input.value = '';
+});
+
+document.getElementById('notify-groups').addEventListener('change', ()=>{
+  const groups = Array.from(document.querySelectorAll('#notify-groups input:checked')).map(box=>box.dataset.group);
+  updateSettings(st=>{ st.notifications = Object.assign(st.notifications || {}, { groups }); });
+});
+
+document.getElementById('notify-scope').addEventListener('change', async (e)=>{
+  const st = (await browser.storage.local.get('streamtime')).streamtime || {};
+  st.notifications = Object.assign(st.notifications || {}, { scope: e.target.value });
+  await browser.storage.local.set({ streamtime: st });
+});
+
+// --- quiet hours (see quiet-hours.js) ---
+function renderQuietHours(data){
+  const list = document.getElementById('quiet-list');
+  const schedules = data.quiet?.schedules || [];
+  list.innerHTML = schedules.length ? '' : '<div class="muted small">No quiet hours set.</div>';
+  schedules.forEach((schedule, index)=>{
+    const row = document.createElement('div');
+    row.className = 'row';
+    row.style.flexWrap = 'wrap';
+    row.innerHTML = QUIET_DAY_LABELS.map((label, day)=>
+      `<label class="check"><input type="checkbox" data-day="${day}"${schedule.days?.includes(day) ? ' checked' : ''}> ${label}</label>`).join('') +
+      '<input type="time" data-field="start"> – <input type="time" data-field="end"><button>Delete</button>';
+    row.querySelector('[data-field=start]').value = schedule.start || '';
+    row.querySelector('[data-field=end]').value = schedule.end || '';
+    row.addEventListener('change', ()=> updateSettings(st=>{
+      st.quiet.schedules[index] = {
+        days: Array.from(row.querySelectorAll('[data-day]:checked')).map(box=>Number(box.dataset.day)),
+        start: row.querySelector('[data-field=start]').value,
+        end: row.querySelector('[data-field=end]').value
+      };
+    }));
+    row.querySelector('button').addEventListener('click', ()=> updateSettings(st=>{ st.quiet.schedules.splice(index, 1); }));
+    list.appendChild(row);
+  });
+
+  document.getElementById('quiet-except-favourites').checked = data.quiet?.exceptFavourites !== false;
+  const groups = listGroups(data);
+  const except = document.getElementById('quiet-groups');
+  except.innerHTML = '';
+  for(const group of groups){
+    const row = document.createElement('label');
+    row.className = 'check';
+    row.innerHTML = `<input type="checkbox" data-group="${escapeHtml(group.id)}"> ${escapeHtml(group.name)}`;
+    row.querySelector('input').checked = !!data.quiet?.exceptGroups?.includes(group.id);
+    except.appendChild(row);
+  }
+  document.getElementById('quiet-groups-row').style.display = groups.length ? 'block' : 'none';
+}
+
+function updateQuietSettings(patch){
+  return updateSettings(st=>{ st.quiet = Object.assign({ schedules: [] }, st.quiet, patch); });
+}
+
+document.getElementById('quiet-add').addEventListener('click', async ()=>{
+  const st = (await browser.storage.local.get('streamtime')).streamtime || {};
+  const schedules = (st.quiet?.schedules || []).concat({ days: [0, 1, 2, 3, 4, 5, 6], start: '23:00', end: '07:00' });
+  await updateQuietSettings({ schedules });
+});
+
+document.getElementById('quiet-except-favourites').addEventListener('change', (e)=> updateQuietSettings({ exceptFavourites: e.target.checked }));
+
+document.getElementById('quiet-groups').addEventListener('change', ()=>{
+  const exceptGroups = Array.from(document.querySelectorAll('#quiet-groups input:checked')).map(box=>box.dataset.group);
+  updateQuietSettings({ exceptGroups });
+});
+
+// --- diagnostics ---
+// Platform health is recorded by background.js in streamtime_status (see recordPollHealth there).
+
+function formatTime(iso){ return iso ? new Date(iso).toLocaleString() : '—'; }
+
+async function renderDiagnostics(){
+  const data = await browser.storage.local.get(['streamtime_status', 'streamtime_last_poll', 'streamtime_poll_state']);
+  const status = data.streamtime_status || {};
+  const pollState = data.streamtime_poll_state || {};
+  const rows = ['<tr><th>Platform</th><th>State</th><th>Last success</th><th>Last HTTP status</th><th>Error</th><th>Token refresh</th><th>Requests (last poll / today)</th><th>Backing off until</th></tr>'];
+  for(const provider of listProviders()){
+    const s = status[provider.id];
+    if(!s){
+      rows.push(`<tr><td>${provider.label}</td><td colspan="7" class="muted">Not polled yet</td></tr>`);
+      continue;
+    }
+    const backoff = pollState[provider.id]?.backoffUntil || 0;
+    const refresh = s.refresh
+      ? `<span class="${s.refresh.ok ? 'ok' : 'bad'}">${s.refresh.ok ? 'OK' : 'Failed'}</span> ${formatTime(s.refresh.at)}` + (s.refresh.error ? `<div class="muted small">${escapeHtml(s.refresh.error)}</div>` : '')
+      : (provider.refreshAuth ? '<span class="muted">Not run yet</span>' : '<span class="muted">n/a</span>');
+    rows.push(`<tr><td>${provider.label}</td>` +
+      `<td class="${s.ok ? 'ok' : 'bad'}">${s.ok ? 'OK' : 'Failing'}</td>` +
+      `<td>${formatTime(s.lastSuccess)}</td>` +
+      `<td>${s.lastStatus || '—'}</td>` +
+      `<td>${s.error ? escapeHtml(s.error) : ''}</td>` +
+      `<td>${refresh}</td>` +
+      `<td>${s.requests ?? 0} / ${s.requestsToday ?? 0}</td>` +
+      `<td>${backoff > Date.now() ? `${formatTime(new Date(backoff).toISOString())}<div class="muted small">${pollState[provider.id].failures || 0} failures in a row</div>` : '—'}</td></tr>`);
+  }
+  rows.push(`<tr><td colspan="8" class="muted small">Last poll: ${formatTime(data.streamtime_last_poll)}</td></tr>`);
+  document.getElementById('diagnostics-table').innerHTML = rows.join('');
+}
+
+function escapeHtml(s){ return String(s ?? '').replace(/[&<>"']/g, c=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' })[c]); }
+
+// Replaces secrets with placeholders; client IDs keep their first characters so they can be told apart
+function redactSecrets(value, key = ''){
+  if(Array.isArray(value)) return value.map(v=>redactSecrets(v));
+  if(value && typeof value === 'object'){
+    const out = {};
+    for(const [k, v] of Object.entries(value)) out[k] = redactSecrets(v, k);
+    return out;
+  }
+  if(typeof value === 'string' && value){
+    if(/secret|token|passphrase|password/i.test(key)) return '(redacted)';
+    if(/clientId$/i.test(key)) return value.slice(0, 4) + '…(redacted)';
+  }
+  return value;
+}
+
+async function buildDiagnosticReport(){
+  const data = await browser.storage.local.get(['streamtime', 'streamtime_status', 'streamtime_last_poll', 'streamtime_youtube_quota', 'streamtime_events']);
+  const settings = structuredClone(data.streamtime || {});
+  for(const provider of listProviders()){
+    const s = settings[provider.id];
+    if(s && Array.isArray(s.channels)){
+      // channel lists are personal; the count and how many resolved is enough to debug
+      s.channels = { count: s.channels.length, resolved: s.channels.filter(c=>provider.channelKey(c)).length };
+    }
+  }
+  const tokens = {};
+  for(const provider of listProviders()){
+    if(provider.tokenCookie) tokens[provider.id] = (await getAccessTokenCookie(provider.tokenCookie.url, provider.tokenCookie.name)) ? 'present' : 'missing';
+  }
+  return {
+    generatedAt: new Date().toISOString(),
+    version: browser.runtime.getManifest().version,
+    userAgent: navigator.userAgent,
+    lastPoll: data.streamtime_last_poll || null,
+    status: data.streamtime_status || {},
+    accessTokens: tokens,
+    youtubeQuota: data.streamtime_youtube_quota || null,
+    recentEvents: (data.streamtime_events || []).slice(0, 10).map(e=>({ type: e.type, platform: e.platform, at: e.at })),
+    settings: redactSecrets(settings)
+  };
+}
+
+document.getElementById('diagnostics-copy').addEventListener('click', async ()=>{
+  const report = JSON.stringify(await buildDiagnosticReport(), null, 2);
+  try{
+    await navigator.clipboard.writeText(report);
+    alert('Diagnostic report copied to the clipboard.');
+  }catch(e){
+    console.error('Clipboard write failed:', e);
+    alert('Could not copy the report. Check the console.');
+  }
+});
+
+document.getElementById('diagnostics-poll').addEventListener('click', async ()=>{
+  await browser.runtime.sendMessage({ action: 'poll_now' });
+  await renderDiagnostics();
+});
+
+// --- developer mode (see dev-http.js) ---
+// Only the background checks use it: sign-in, channel lookups and imports on this page keep the real
+// network, so no fixture channels or tokens end up in the settings.
+
+function renderDevMode(config){
+  config = config || { mode: 'off' };
+  const scenario = document.getElementById('dev-scenario');
+  if(!scenario.options.length){
+    for(const [id, s] of Object.entries(DEV_SCENARIOS)) scenario.add(new Option(s.label, id));
+  }
+  document.getElementById('dev-mode').value = config.mode || 'off';
+  scenario.value = config.scenario || 'live';
+  document.getElementById('dev-fixtures').value = config.fixtures?.length ? JSON.stringify(config.fixtures, null, 2) : '';
+  document.getElementById('dev-mock-url').value = config.mockUrl || '';
+  showDevRows();
+}
+
+function showDevRows(){
+  const mode = document.getElementById('dev-mode').value;
+  document.getElementById('dev-replay-row').style.display = mode === 'replay' ? '' : 'none';
+  document.getElementById('dev-mock-row').style.display = mode === 'mock' ? '' : 'none';
+}
+
+document.getElementById('dev-mode').addEventListener('change', showDevRows);
+
+document.getElementById('dev-save').addEventListener('click', async ()=>{
+  const mode = document.getElementById('dev-mode').value;
+  const config = { mode };
+  if(mode === 'replay'){
+    config.scenario = document.getElementById('dev-scenario').value;
+    const text = document.getElementById('dev-fixtures').value.trim();
+    try{
+      config.fixtures = text ? JSON.parse(text) : [];
+    }catch(e){
+      alert('The recorded responses are not valid JSON: ' + e.message);
+      return;
+    }
+    if(!Array.isArray(config.fixtures)){
+      alert('The recorded responses must be a JSON list.');
+      return;
+    }
+  }
+  if(mode === 'mock'){
+    let url;
+    try{
+      url = new URL(document.getElementById('dev-mock-url').value.trim());
+    }catch(e){
+      alert('Enter the mock server URL, e.g. http://localhost:8080');
+      return;
+    }
+    if(url.protocol !== 'http:' || !['localhost', '127.0.0.1'].includes(url.hostname)){
+      alert('The mock server must run on http://localhost or http://127.0.0.1.');
+      return;
+    }
+    // asked for here, while the click still counts as user input
+    if(!(await browser.permissions.request({ origins: [`http://${url.hostname}/*`] }))){
+      alert('Without access to the mock server the developer mode cannot be used.');
+      return;
+    }
+    config.mockUrl = url.href;
+  }
+  await browser.storage.local.set({ streamtime_dev: config });
+  alert(mode === 'off' ? 'Developer mode is off.' : 'Developer mode is on; the channels are being checked with it now.');
+});
+
+// --- credential vault (kept by the background page, see vault.js) ---
+async function renderVaultState(state){
+  state = state || await browser.runtime.sendMessage({ action: 'vault_status' });
+  const el = document.getElementById('vault-state');
+  if(!state.enabled) el.innerHTML = 'The vault is off: client secrets and refresh tokens are stored unencrypted, access tokens in cookies.';
+  else if(state.unlocked) el.innerHTML = '<span class="ok">Unlocked</span> for this browser session.';
+  else el.innerHTML = '<span class="bad">Locked</span>: no platform is checked until you unlock it.';
+
+  const show = { 'vault-enable': !state.enabled, 'vault-unlock': state.enabled && !state.unlocked,
+    'vault-lock': state.unlocked, 'vault-disable': state.unlocked, 'vault-reset': state.enabled && !state.unlocked };
+  for(const [id, visible] of Object.entries(show)) document.getElementById(id).style.display = visible ? '' : 'none';
+  document.getElementById('vault-repeat-row').style.display = state.enabled ? 'none' : '';
+}
+
+async function runVaultAction(action){
+  const passphrase = document.getElementById('vault-passphrase').value;
+  if(action === 'vault_enable' && passphrase !== document.getElementById('vault-passphrase-repeat').value){
+    return alert('The passphrases do not match.');
+  }
+  if(action === 'vault_reset' && !confirm('Delete the vault together with every secret in it? You will have to authorize each platform again.')) return;
+  const result = await browser.runtime.sendMessage({ action, passphrase });
+  document.getElementById('vault-passphrase').value = '';
+  document.getElementById('vault-passphrase-repeat').value = '';
+  if(!result.ok) alert('Vault: ' + result.error);
+  await renderVaultState(result);
+  await loadAll();
+}
+
+for(const action of ['enable', 'unlock', 'lock', 'disable', 'reset']){
+  document.getElementById('vault-' + action).addEventListener('click', ()=> runVaultAction('vault_' + action));
+}
+
+// --- settings backup (see settings-backup.js) ---
+let pendingImport = null; // parsed file waiting for "Import"
+
+document.getElementById('settings-export').addEventListener('click', async ()=>{
+  const passphrase = document.getElementById('export-passphrase').value;
+  try{
+    const data = await buildSettingsExport(passphrase);
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `streamtime-settings-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(()=>URL.revokeObjectURL(url), 1000);
+  }catch(err){
+    alert('Export failed: '+err.message);
+  }
+});
+
+async function renderImportPreview(){
+  const el = document.getElementById('import-preview');
+  document.getElementById('settings-import').disabled = !pendingImport;
+  el.style.display = pendingImport ? 'block' : 'none';
+  if(!pendingImport) return;
+
+  const current = (await browser.storage.local.get('streamtime')).streamtime || {};
+  const next = mergeImportedSettings(current, pendingImport.settings, document.getElementById('import-mode').value);
+  const changes = describeSettingsChanges(current, next);
+  const lines = [`<strong>Export from ${escapeHtml(formatTime(pendingImport.exportedAt))}</strong>`];
+  lines.push(...(changes.length ? changes : ['No changes.']).map(escapeHtml));
+  lines.push(pendingImport.secrets
+    ? 'Contains encrypted secrets; enter the export passphrase to import them.'
+    : 'Contains no secrets; your current client secrets and tokens are kept.');
+  lines.push(...pendingImport.warnings.map(w=>`<span class="bad">${escapeHtml(w)}</span>`));
+  el.innerHTML = lines.join('<br>');
+}
+
+document.getElementById('import-file').addEventListener('change', async (e)=>{
+  pendingImport = null;
+  const file = e.target.files[0];
+  if(file){
+    try{
+      pendingImport = parseSettingsExport(await file.text());
+    }catch(err){
+      alert('Import failed: '+err.message);
+      e.target.value = '';
+    }
+  }
+  await renderImportPreview();
+});
+
+document.getElementById('import-mode').addEventListener('change', renderImportPreview);
+
+document.getElementById('settings-import').addEventListener('click', async ()=>{
+  if(!pendingImport) return;
+  const mode = document.getElementById('import-mode').value;
+  const passphrase = document.getElementById('import-passphrase').value;
+  if(pendingImport.secrets && !passphrase && !confirm('No passphrase entered. Import without the encrypted secrets?')) return;
+  if(mode === 'replace' && !confirm('Replace all current settings with the imported ones?')) return;
+  try{
+    const updated = await applySettingsImport(pendingImport, mode, passphrase);
+    for(const platform of updated) await browser.runtime.sendMessage({ action: 'auth_updated', platform });
+    browser.runtime.sendMessage({ action: 'poll_now' });
+    alert('Settings imported' + (updated.length ? ` with credentials for ${updated.map(id=>getProvider(id).label).join(', ')}` : '') + '.');
+    location.reload();
+  }catch(err){
+    alert('Import failed: '+err.message);
+  }
+});
+
+// YouTube: show today's estimated Data API quota usage (recorded by providers/youtube.js)
+async function showYouTubeQuota(){
+  const quota = (await browser.storage.local.get('streamtime_youtube_quota')).streamtime_youtube_quota;
+  const used = quota && quota.day === youtubeQuotaDay() ? quota.units : 0;
+  const limit = quota?.limit || YOUTUBE_DAILY_QUOTA;
+  document.getElementById('youtube-quota').textContent =
+    `Estimated API quota used today (resets at midnight Pacific): ${used} / ${limit} units (${Math.round(used / limit * 100)}%)`;
+}
+
+// a token typed or pasted by hand has an unknown expiry
+for(const platform of ['twitch', 'kick', 'youtube']){
+  document.getElementById(platform + '-access-token').addEventListener('input', (e)=>{ e.target.dataset.expiresAt = ''; });
+}
+
+// --- save buttons ---
+document.getElementById('twitch-save').addEventListener('click', async ()=> {
+  const clientId = document.getElementById('twitch-client-id').value.trim();
+  const clientSecret = document.getElementById('twitch-client-secret').value.trim();
+  const accessToken = document.getElementById('twitch-access-token').value.trim();
+  const refreshToken = document.getElementById('twitch-refresh-token').value.trim();
+
+  // expiry is only known right after "Authorize"; background validates tokens pasted by hand
+  const tokenExpiresAt = document.getElementById('twitch-access-token').dataset.expiresAt || null;
+
+  await saveSettings('twitch', { clientId, clientSecret, accessToken, refreshToken, tokenExpiresAt });
+  await browser.runtime.sendMessage({ action: 'auth_updated', platform: 'twitch' });
+  browser.runtime.sendMessage({ action: 'poll_now' });
+  alert('Saved Twitch settings and updated live list.');
+});
+
+document.getElementById('kick-save').addEventListener('click', async ()=> {
+  const clientId = document.getElementById('kick-client-id').value.trim();
+  const clientSecret = document.getElementById('kick-client-secret').value.trim();
+  const accessToken = document.getElementById('kick-access-token').value.trim();
+  const refreshToken = document.getElementById('kick-refresh-token').value.trim();
+
+  // expiry is only known right after "Authorize"; background validates tokens pasted by hand
+  const tokenExpiresAt = document.getElementById('kick-access-token').dataset.expiresAt || null;
+
+  await saveSettings('kick', { clientId, clientSecret, accessToken, refreshToken, tokenExpiresAt });
+  await browser.runtime.sendMessage({ action: 'auth_updated', platform: 'kick' });
+  browser.runtime.sendMessage({ action: 'poll_now' });
+  alert('Saved Kick settings and updated live list.');
+});
+
+document.getElementById('youtube-save').addEventListener('click', async ()=> {
+  const apiKey = document.getElementById('youtube-client-id').value.trim();
+  const oauthClientId = document.getElementById('youtube-oauth-client-id').value.trim();
+  const oauthClientSecret = document.getElementById('youtube-oauth-client-secret').value.trim();
+  const accessToken = document.getElementById('youtube-access-token').value.trim();
+  const refreshToken = document.getElementById('youtube-refresh-token').value.trim();
+  const tokenExpiresAt = document.getElementById('youtube-access-token').dataset.expiresAt || null;
+
+  await saveSettings('youtube', { clientId: apiKey, oauthClientId, oauthClientSecret, accessToken, refreshToken, tokenExpiresAt });
+  await browser.runtime.sendMessage({ action: 'auth_updated', platform: 'youtube' });
+  browser.runtime.sendMessage({ action: 'poll_now' });
+  alert('Saved YouTube settings and updated live list.');
+});
+
+
+// --- followed channels import (providers with importFollows, see follows.js) ---
+// Merges the account's follows into the saved list; the channel manager re-renders from storage
+async function importFollowedChannels(platform, credentials){
+  const provider = getProvider(platform);
+  const follows = await provider.importFollows(credentials);
+  const saved = (await browser.storage.local.get('streamtime')).streamtime?.[platform]?.channels;
+  const result = mergeFollowedChannels(provider, saved, follows);
+  await saveSettings(platform, { channels: result.channels });
+  browser.runtime.sendMessage({ action: 'poll_now' });
+  return Object.assign({ imported: follows.length }, result);
+}
+
+document.getElementById('twitch-import-follows').addEventListener('click', async ()=>{
+  const clientId = document.getElementById('twitch-client-id').value.trim();
+  const accessToken = document.getElementById('twitch-access-token').value.trim();
+  try{
+    const r = await importFollowedChannels('twitch', { clientId, accessToken });
+    alert(`Imported ${r.imported} followed channels: ${r.added} new, ${r.unfollowed} no longer followed.`);
+  }catch(err){
+    alert('Twitch follows import failed: '+err.message);
+  }
+});
+
+document.getElementById('youtube-import-follows').addEventListener('click', async ()=>{
+  const clientId = document.getElementById('youtube-client-id').value.trim();
+  const accessToken = document.getElementById('youtube-access-token').value.trim();
+  try{
+    const r = await importFollowedChannels('youtube', { clientId, accessToken });
+    alert(`Imported ${r.imported} subscriptions: ${r.added} new, ${r.unfollowed} no longer subscribed.`);
+  }catch(err){
+    alert('YouTube subscriptions import failed: '+err.message);
+  }
+});
+
+for(const platform of ['twitch', 'youtube']){
+  document.getElementById(platform + '-sync-follows').addEventListener('change', async (e)=>{
+    await saveSettings(platform, { syncFollows: e.target.checked });
+    if(e.target.checked) browser.runtime.sendMessage({ action: 'sync_follows' });
+  });
+}
+
+// IIFE for initialization and OAuth flows
+(async () => {
+  // Load settings initially
+  await loadGeneral();
+  await loadAll(); 
+  await showYouTubeQuota();
+  await renderDiagnostics();
+  await renderVaultState();
+  const { streamtime_dev } = await browser.storage.local.get('streamtime_dev');
+  renderDevMode(streamtime_dev);
+  browser.storage.onChanged.addListener((changes, area) => {
+    if(area === 'local' && changes.streamtime_dev) renderDevMode(changes.streamtime_dev.newValue);
+    if(area === 'local' && changes.streamtime_vault) renderVaultState();
+    if(area === 'local' && changes.streamtime_youtube_quota) showYouTubeQuota();
+    if(area === 'local' && (changes.streamtime_status || changes.streamtime_last_poll)) renderDiagnostics();
+    if(area === 'local' && changes.streamtime) renderAllChannelPrefs(changes.streamtime.newValue || {});
+    if(area === 'local' && changes.streamtime) renderGroups(changes.streamtime.newValue || {});
+    if(area === 'local' && changes.streamtime) renderQuietHours(changes.streamtime.newValue || {});
+    if(area === 'local' && changes.streamtime) renderAllChannelManagers(changes.streamtime.newValue || {});
+    if(area === 'local' && changes.streamtime_last_live){
+      lastLiveTimes = changes.streamtime_last_live.newValue || {};
+      browser.storage.local.get('streamtime').then(data=>renderAllChannelManagers(data.streamtime || {}));
+    }
+  });
+  
+  const redirectUri = browser.identity.getRedirectURL();
+  document.getElementById('twitch-redirect-uri').textContent = redirectUri;
+  document.getElementById('kick-redirect-uri').textContent = redirectUri;
+  document.getElementById('youtube-redirect-uri').textContent = redirectUri;
+
+  // ---- TWITCH AUTH FLOW ----
+  document.getElementById('twitch-auth').addEventListener('click', async () => {
+    const clientId = document.getElementById('twitch-client-id').value.trim();
+    const clientSecret = document.getElementById('twitch-client-secret').value.trim();
+    if (!clientId) return alert('Enter your Twitch Client ID first.');
+
+    const authUrl = `https://id.twitch.tv/oauth2/authorize?` + new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope: 'user:read:email user:read:follows'
+    });
+
+    try {
+      const redirectData = await browser.identity.launchWebAuthFlow({
+        url: authUrl,
+        interactive: true
+      });
+
+      const code = new URL(redirectData).searchParams.get('code');
+      if (!code) throw new Error('No authorization code returned.');
+
+      const tokenRes = await providerFetch('twitch', 'https://id.twitch.tv/oauth2/token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          client_id: clientId,
+          client_secret: clientSecret,
+          code,
+          grant_type: 'authorization_code',
+          redirect_uri: redirectUri
+        })
+      });
+
+      const tokenData = await tokenRes.json();
+      console.log('Twitch token response:', tokenData);
+
+      if (tokenData.access_token) {
+        document.getElementById('twitch-access-token').value = tokenData.access_token;
+        document.getElementById('twitch-access-token').dataset.expiresAt =
+          tokenData.expires_in ? new Date(Date.now() + tokenData.expires_in * 1000).toISOString() : '';
+      }
+      if (tokenData.refresh_token) {
+        document.getElementById('twitch-refresh-token').value = tokenData.refresh_token;
+      }
+
+      if (!tokenData.access_token && !tokenData.refresh_token) {
+        alert('Twitch authorization response received but no tokens returned. Check console for full data.');
+      } else {
+        alert('Twitch authorization successful! Remember to click Save.');
+      }
+    } catch (e) {
+      console.error('Twitch OAuth failed:', e);
+      alert('Twitch authorization failed. Check console.');
+    }
+  });
+
+  // ---- KICK AUTH FLOW (MODIFIED FOR PKCE) ----
+  document.getElementById('kick-auth').addEventListener('click', async () => {
+    const clientId = document.getElementById('kick-client-id').value.trim();
+    const clientSecret = document.getElementById('kick-client-secret').value.trim();
+    if (!clientId) return alert('Enter your Kick Client ID first.');
+
+    // --- PKCE GENERATION ---
+    const state = generateRandomString(32);
+    const codeVerifier = generateRandomString(); // Default 64 length
+    const codeChallenge = await generateCodeChallenge(codeVerifier);
+    // -----------------------
+
+    const authUrl = `https://id.kick.com/oauth/authorize?` + new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope: 'user:read channel:read events:subscribe',
+      state: state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    console.log(`Generated auth URL for kick.com = ${authUrl}`);
+
+    try {
+      const redirectData = await browser.identity.launchWebAuthFlow({
+        url: authUrl,
+        interactive: true
+      });
+
+      const urlParams = new URL(redirectData).searchParams;
+      const code = urlParams.get('code');
+      const returnedState = urlParams.get('state');
+
+      if (!code) throw new Error('No authorization code returned. Did you click Authorize?');
+      if (returnedState !== state) throw new Error('State mismatch. Potential CSRF attack.');
+
+      const tokenRes = await providerFetch('kick', 'https://id.kick.com/oauth/token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          client_id: clientId,
+          client_secret: clientSecret,
+          code: code,
+          grant_type: 'authorization_code',
+          redirect_uri: redirectUri,
+          code_verifier: codeVerifier // PKCE parameter
+        })
+      });
+
+      const tokenData = await tokenRes.json();
+      console.log('Kick token response:', tokenData);
+
+      if (tokenData.access_token) {
+        document.getElementById('kick-access-token').value = tokenData.access_token;
+        document.getElementById('kick-access-token').dataset.expiresAt =
+          tokenData.expires_in ? new Date(Date.now() + tokenData.expires_in * 1000).toISOString() : '';
+      }
+      if (tokenData.refresh_token) {
+        document.getElementById('kick-refresh-token').value = tokenData.refresh_token;
+      }
+
+      if (!tokenData.access_token && !tokenData.refresh_token) {
+        alert('Kick authorization response received but no tokens returned. Check console for full data.');
+      } else {
+        alert('Kick authorization successful! Remember to click Save.');
+      }
+    } catch (e) {
+      console.error('Kick OAuth failed:', e);
+      alert('Kick authorization failed. See console.');
+    }
+  });
+
+  // ---- GOOGLE (YOUTUBE) AUTH FLOW ----
+  document.getElementById('youtube-auth').addEventListener('click', async () => {
+    const clientId = document.getElementById('youtube-oauth-client-id').value.trim();
+    const clientSecret = document.getElementById('youtube-oauth-client-secret').value.trim();
+    if (!clientId) return alert('Enter your Google OAuth Client ID first.');
+
+    const state = generateRandomString(32);
+    const authUrl = `https://accounts.google.com/o/oauth2/v2/auth?` + new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope: 'https://www.googleapis.com/auth/youtube.readonly',
+      access_type: 'offline', // ask for a refresh token
+      prompt: 'consent', // Google only returns the refresh token on consent
+      state
+    });
+
+    try {
+      const redirectData = await browser.identity.launchWebAuthFlow({
+        url: authUrl,
+        interactive: true
+      });
+
+      const urlParams = new URL(redirectData).searchParams;
+      const code = urlParams.get('code');
+      if (!code) throw new Error('No authorization code returned.');
+      if (urlParams.get('state') !== state) throw new Error('State mismatch. Potential CSRF attack.');
+
+      const tokenRes = await providerFetch('youtube', 'https://oauth2.googleapis.com/token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          client_id: clientId,
+          client_secret: clientSecret,
+          code,
+          grant_type: 'authorization_code',
+          redirect_uri: redirectUri
+        })
+      });
+
+      const tokenData = await tokenRes.json();
+      if (tokenData.access_token) {
+        document.getElementById('youtube-access-token').value = tokenData.access_token;
+        document.getElementById('youtube-access-token').dataset.expiresAt =
+          tokenData.expires_in ? new Date(Date.now() + tokenData.expires_in * 1000).toISOString() : '';
+      }
+      if (tokenData.refresh_token) {
+        document.getElementById('youtube-refresh-token').value = tokenData.refresh_token;
+      }
+
+      if (!tokenData.access_token) {
+        console.error('Google token response:', tokenData);
+        alert('Google sign-in response received but no tokens returned. Check console for full data.');
+      } else {
+        alert('Google sign-in successful! Remember to click Save.');
+      }
+    } catch (e) {
+      console.error('Google OAuth failed:', e);
+      alert('Google sign-in failed. See console.');
+    }
+  });
 })();
\ No newline at end of file
@@ -1,80 +1,397 @@
-// popup.js
-
-async function render(){
-  // get cached live lists from storage (background polls and sets them)
-  const s = (await browser.storage.local.get(['streamtime','streamtime_live'])) || {};
-  const settings = s.streamtime || {};
-  const live = s.streamtime_live || {};
-
-  // helper to render entries
-  function renderList(containerId, platformSettings, platformLive, platformName){
-    const el = document.getElementById(containerId);
-    el.innerHTML = '';
-    const liveList = platformLive || [];
-    if(!liveList.length){
-      el.innerHTML = '<div class="empty">No channels live</div>';
-      return;
-    }
-    for(const item of liveList){
-      const div = document.createElement('div');
-      div.className = 'entry';
-      // build link and uptime if available
-      let name = item.display_name || item.title || item.channel_name || item.slug || item.name || (item.user_login || item.login) || item.channelId || 'unknown';
-      let url = '#';
-      if(platformName === 'twitch' && item.user_login) url = 'https://twitch.tv/' + item.user_login;
-      else if(platformName === 'twitch' && item.user_name) url = 'https://twitch.tv/' + item.user_name;
-      else if(platformName === 'kick' && (item.slug || item.link)) url = 'https://kick.com/' + (item.slug || item.link || '');
-      else if(platformName === 'youtube' && item.channelId) url = 'https://www.youtube.com/channel/' + item.channelId;
-      else if(item.url) url = item.url;
-
-      const left = document.createElement('div');
-      left.innerHTML = '<a target="_blank" rel="noopener noreferrer" href="' + url + '">' + escapeHtml(name) + '</a><div class="small muted">' + (item.game || item.title || '') + '</div>';
-
-      const right = document.createElement('div');
-      right.innerHTML = '<div class="small">' + (item.uptime || item.duration || '') + '</div>';
-      div.appendChild(left);
-      div.appendChild(right);
-      el.appendChild(div);
-    }
-  }
-
-  renderList('twitch-list', settings.twitch, live.twitch, 'twitch');
-  renderList('kick-list', settings.kick, live.kick, 'kick');
-  renderList('youtube-list', settings.youtube, live.youtube, 'youtube');
-}
-
-// NEW FUNCTION: Generate and display the Mozilla OAuth URL
-async function displayRedirectURL() {
-    const el = document.getElementById('redirect-url');
-    try {
-        // browser.identity.getRedirectURL() generates the unique hash URL
-        const redirectURL = browser.identity.getRedirectURL();
-        el.innerHTML = '<code>' + escapeHtml(redirectURL) + '</code>';
-    } catch (e) {
-        console.error("Failed to get redirect URL:", e);
-        el.innerHTML = '<code style="color:red;">Error getting URL. Check "identity" permission in manifest.</code>';
-    }
-}
-
-function escapeHtml(s){ return (s||'').replace(/[&<>"']/g, c=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' })[c]); }
-
-document.getElementById('open-options-twitch').addEventListener('click', ()=>{
-  browser.runtime.openOptionsPage();
-});
-document.getElementById('open-options-kick').addEventListener('click', ()=>{
-  browser.runtime.openOptionsPage();
-});
-document.getElementById('open-options-youtube').addEventListener('click', ()=>{
-  browser.runtime.openOptionsPage();
-});
-
-// Initial load functions
-render();
-displayRedirectURL(); // <-- NEW: Call the URL display function
-
-// update when storage changes
-browser.storage.onChanged.addListener((changes, area) => {
-  if(area === 'local'){
-    render();
-  }
-});
\ No newline at end of file
+// popup.js
+
+// Build one section per registered provider (platform name, options link, live list)
+function buildSections(){
+  const container = document.getElementById('platforms');
+  for(const provider of listProviders()){
+    const section = document.createElement('div');
+    section.id = provider.id + '-section';
+    section.className = 'platform';
+    section.innerHTML = '<div class="platform-header"><strong>' + escapeHtml(provider.label) + '</strong>' +
+      '<a href="#" class="open-options">Options</a></div>' +
+      '<div id="' + provider.id + '-list" class="muted small">Loading…</div>' +
+      '<div id="' + provider.id + '-offline"></div>';
+    section.querySelector('.open-options').addEventListener('click', ()=>{
+      browser.runtime.openOptionsPage();
+    });
+    container.appendChild(section);
+  }
+}
+
+// Formats the time since startedAt (e.g., "1h 30m"); refreshed by tickUptimes() while the popup is open
+function computeUptime(startedAtIso){
+  if(!startedAtIso) return '';
+  const start = new Date(startedAtIso).getTime();
+  if(isNaN(start)) return '';
+  const s = Math.floor(Math.max(0, Date.now() - start)/1000);
+  const h = Math.floor(s/3600);
+  const m = Math.floor((s%3600)/60);
+  if(h>0) return `${h}h ${m}m`;
+  return `${m}m`;
+}
+
+async function render(){
+  // a locked vault stops polling; say so instead of showing stale or empty lists
+  const vault = await browser.runtime.sendMessage({ action: 'vault_status' }).catch(()=>null);
+  const locked = !!vault?.enabled && !vault.unlocked;
+  document.getElementById('vault-locked').style.display = locked ? 'block' : 'none';
+  document.getElementById('platforms').style.display = locked ? 'none' : '';
+  if(locked){
+    for(const id of ['snooze-bar', 'activity-section', 'upcoming-section', 'favourites-section', 'group-filter', 'view-bar', 'all-section']) document.getElementById(id).style.display = 'none';
+    return;
+  }
+  document.getElementById('view-bar').style.display = '';
+  document.getElementById('snooze-bar').style.display = '';
+
+  // get cached live lists from storage (background polls and sets them)
+  const s = (await browser.storage.local.get(['streamtime', 'streamtime_live', 'streamtime_events', 'streamtime_status', 'streamtime_popup', 'streamtime_last_live', 'streamtime_schedule', 'streamtime_snooze_until', 'streamtime_dev'])) || {};
+  const settings = s.streamtime || {};
+  shownSettings = settings;
+  const live = s.streamtime_live || {};
+  const status = s.streamtime_status || {};
+  const prefs = s.streamtime_popup || {};
+  renderSnoozeBar(settings.quiet, s.streamtime_snooze_until);
+  renderDevModeWarning(s.streamtime_dev);
+  const unified = prefs.view === 'unified';
+  const sort = prefs.sort || 'viewers';
+  document.getElementById('view-mode').value = unified ? 'unified' : 'platforms';
+  document.getElementById('sort-mode').value = sort;
+  document.getElementById('sort-mode').style.display = unified ? '' : 'none';
+  document.getElementById('platforms').style.display = unified ? 'none' : '';
+  document.getElementById('all-section').style.display = unified ? 'block' : 'none';
+
+  // helper to render entries; every item is a normalized stream record (see providers/registry.js)
+  function renderList(containerId, platformLive, platformStatus){
+    const el = document.getElementById(containerId);
+    el.innerHTML = '';
+    const liveList = platformLive || [];
+    if(platformStatus && !platformStatus.ok){
+      // a broken token or quota must not look like "nobody is live"
+      el.innerHTML = '<div class="warning">⚠ ' + escapeHtml(platformStatus.error || 'Check failed') +
+        (liveList.length ? ' — showing the last known streams.' : '') + ' See Options → Diagnostics.</div>';
+    }
+    if(!liveList.length){
+      if(!platformStatus || platformStatus.ok) el.innerHTML = '<div class="empty">No channels live</div>';
+      return;
+    }
+    for(const item of liveList) el.appendChild(streamEntry(item, item.category || item.title));
+  }
+
+  // group filter and favourites (see channel-groups.js); favourites are listed once, on top
+  const groupId = settings.groups?.[prefs.group] ? prefs.group : '';
+  renderGroupFilter(settings, groupId);
+  const query = document.getElementById('search').value.trim().toLowerCase();
+  const visible = (stream)=> (!groupId || isInAnyGroup(findChannelEntry(settings, stream), [groupId])) && matchesSearch(stream, query);
+  const isFavourite = (stream)=> !!findChannelEntry(settings, stream)?.favourite;
+
+  const favourites = [];
+  const others = [];
+  for(const provider of listProviders()){
+    const platformLive = (live[provider.id] || []).filter(visible);
+    favourites.push(...platformLive.filter(isFavourite));
+    others.push(...platformLive.filter(stream=>!isFavourite(stream)));
+    // self-hosted platforms only get a section once they have channels
+    document.getElementById(provider.id + '-section').style.display = provider.selfHosted && !settings[provider.id]?.channels?.length ? 'none' : '';
+    if(!unified) renderList(provider.id + '-list', platformLive.filter(stream=>!isFavourite(stream)), status[provider.id]);
+  }
+  if(unified){
+    renderFavourites(sortStreams(favourites, sort), true);
+    renderUnified(sortStreams(others, sort), status, query);
+  }else{
+    renderFavourites(favourites, false);
+  }
+
+  // offline channels (optional, General → Popup), with when background.js last saw them live
+  const showOffline = !!settings.popup?.showOffline;
+  const offlineOpen = prefs.offlineOpen || {};
+  const offlineFor = (provider)=> showOffline ? offlineChannels(provider, settings, live, s.streamtime_last_live || {})
+    .filter(o=> (!groupId || isInAnyGroup(o.channel, [groupId])) && matchesText(provider.channelName(o.channel), query)) : [];
+  if(unified){
+    const all = listProviders().flatMap(offlineFor).sort((a, b)=> (b.lastSeen || '').localeCompare(a.lastSeen || ''));
+    renderOffline('all-offline', all, 'all', offlineOpen);
+  }else{
+    for(const provider of listProviders()) renderOffline(provider.id + '-offline', offlineFor(provider), provider.id, offlineOpen);
+  }
+
+  const upcoming = (s.streamtime_schedule?.streams || []).filter(stream=>
+    new Date(stream.startAt).getTime() > Date.now() && visible(stream));
+  renderUpcoming(upcoming);
+
+  renderActivity(s.streamtime_events || []);
+}
+
+let shownSettings = {}; // streamtime as last rendered, for the mute buttons
+
+// One live stream row: channel link, subtitle and uptime; the unified view adds thumbnail and viewers
+function streamEntry(item, subtitle, detailed = false){
+  const div = document.createElement('div');
+  div.className = 'entry';
+
+  const left = document.createElement('div');
+  left.className = 'stream-info';
+  left.innerHTML = (detailed && item.thumbnail ? '<img class="thumb" alt="" src="' + escapeHtml(item.thumbnail) + '">' : '') +
+    '<div><a target="_blank" rel="noopener noreferrer" href="' + escapeHtml(item.url || '#') + '">' + escapeHtml(item.displayName) + '</a>' +
+    '<div class="small muted">' + escapeHtml(subtitle) + '</div></div>';
+
+  const right = document.createElement('div');
+  right.innerHTML = '<div class="small uptime" data-started="' + escapeHtml(item.startedAt || '') + '">' + escapeHtml(computeUptime(item.startedAt)) + '</div>' +
+    (detailed && item.viewers != null ? '<div class="small muted">' + Number(item.viewers).toLocaleString() + ' viewers</div>' : '');
+  const mutedUntil = findChannelEntry(shownSettings, item)?.mutedUntil;
+  const muted = mutedUntil && new Date(mutedUntil).getTime() > Date.now();
+  right.innerHTML += '<button class="mute small" data-platform="' + escapeHtml(item.platform) + '" data-channel="' + escapeHtml(item.channelKey) + '" data-mute="' + (muted ? '0' : '1') + '">' +
+    (muted ? 'Unmute' : 'Mute today') + '</button>';
+  div.appendChild(left);
+  div.appendChild(right);
+  return div;
+}
+
+function platformSubtitle(item){
+  const platform = getProvider(item.platform)?.label || item.platform;
+  return platform + ' · ' + (item.category || item.title || '');
+}
+
+function renderFavourites(streams, detailed){
+  document.getElementById('favourites-section').style.display = streams.length ? 'block' : 'none';
+  const el = document.getElementById('favourites-list');
+  el.innerHTML = '';
+  for(const item of streams) el.appendChild(streamEntry(item, platformSubtitle(item), detailed));
+}
+
+// All platforms in one list; failing platforms are listed above it
+function renderUnified(streams, status, query){
+  const el = document.getElementById('all-list');
+  el.innerHTML = '';
+  for(const provider of listProviders()){
+    const platformStatus = status[provider.id];
+    if(platformStatus && !platformStatus.ok){
+      el.insertAdjacentHTML('beforeend', '<div class="warning">⚠ ' + escapeHtml(provider.label) + ': ' +
+        escapeHtml(platformStatus.error || 'Check failed') + ' See Options → Diagnostics.</div>');
+    }
+  }
+  if(!streams.length){
+    el.insertAdjacentHTML('beforeend', '<div class="empty">' + (query ? 'No live channels match' : 'No channels live') + '</div>');
+    return;
+  }
+  for(const item of streams) el.appendChild(streamEntry(item, platformSubtitle(item), true));
+}
+
+function matchesText(text, query){
+  return String(text || '').toLowerCase().includes(query);
+}
+
+function matchesSearch(stream, query){
+  if(!query) return true;
+  const platform = getProvider(stream.platform)?.label || stream.platform;
+  return [stream.displayName, stream.title, stream.category, platform].some(text=>matchesText(text, query));
+}
+
+/**
+ * Resolved channels of one platform that are not live, most recently live first.
+ * @param {object} lastLive - streamtime_last_live: "platform:channelKey" -> ISO time.
+ * @returns {{provider: object, channel: object, lastSeen: string|undefined}[]}
+ */
+function offlineChannels(provider, settings, live, lastLive){
+  const liveKeys = new Set((live[provider.id] || []).map(stream=>String(stream.channelKey)));
+  return (settings[provider.id]?.channels || [])
+    .filter(c=> provider.channelKey(c) && !liveKeys.has(provider.channelKey(c)))
+    .map(c=>({ provider, channel: c, lastSeen: lastLive[provider.id + ':' + provider.channelKey(c)] }))
+    .sort((a, b)=> (b.lastSeen || '').localeCompare(a.lastSeen || ''));
+}
+
+// e.g. "5m ago", "3h ago", "4 days ago"
+function formatAgo(iso){
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime())/60000);
+  if(minutes < 60) return Math.max(0, minutes) + 'm ago';
+  if(minutes < 48*60) return Math.floor(minutes/60) + 'h ago';
+  return Math.floor(minutes/(24*60)) + ' days ago';
+}
+
+// Collapsible list of offline channels; whether it is open is kept per list in streamtime_popup.offlineOpen
+function renderOffline(containerId, entries, listKey, offlineOpen){
+  const el = document.getElementById(containerId);
+  el.innerHTML = '';
+  if(!entries.length) return;
+  const details = document.createElement('details');
+  details.className = 'offline';
+  details.open = !!offlineOpen[listKey];
+  details.innerHTML = '<summary class="small muted">Offline (' + entries.length + ')</summary>';
+  for(const { provider, channel, lastSeen } of entries){
+    const avatar = provider.channelAvatar?.(channel);
+    const div = document.createElement('div');
+    div.className = 'entry';
+    div.innerHTML = '<div class="stream-info">' +
+      (avatar ? '<img class="avatar" alt="" src="' + escapeHtml(avatar) + '">' : '<span class="avatar"></span>') +
+      '<div><a target="_blank" rel="noopener noreferrer" href="' + escapeHtml(provider.channelUrl(channel)) + '">' + escapeHtml(provider.channelName(channel)) + '</a>' +
+      (listKey === 'all' ? '<div class="small muted">' + escapeHtml(provider.label) + '</div>' : '') + '</div></div>' +
+      '<div class="small muted">' + (lastSeen ? 'live ' + escapeHtml(formatAgo(lastSeen)) : 'not seen live yet') + '</div>';
+    details.appendChild(div);
+  }
+  details.addEventListener('toggle', ()=>{
+    // also fires for the initial state set above; only save real changes
+    if(details.open === !!offlineOpen[listKey]) return;
+    savePopupPrefs({ offlineOpen: Object.assign({}, offlineOpen, { [listKey]: details.open }) });
+  });
+  el.appendChild(details);
+}
+
+/**
+ * @param {string} sort - 'viewers' (most first), 'uptime' (longest first) or 'name'.
+ */
+function sortStreams(streams, sort){
+  const started = (stream)=> new Date(stream.startedAt).getTime() || Date.now();
+  const compare = {
+    viewers: (a, b)=> (b.viewers || 0) - (a.viewers || 0),
+    uptime: (a, b)=> started(a) - started(b),
+    name: (a, b)=> String(a.displayName || '').localeCompare(String(b.displayName || ''), undefined, { sensitivity: 'base' })
+  }[sort] || (()=>0);
+  return streams.slice().sort(compare);
+}
+
+// Uptimes are computed from startedAt here rather than at poll time, so they stay current
+function tickUptimes(){
+  for(const el of document.querySelectorAll('.uptime[data-started]')) el.textContent = computeUptime(el.dataset.started);
+}
+
+// The filter only shows up once groups exist; the choice is kept in streamtime_popup.group
+function renderGroupFilter(settings, selected){
+  const groups = listGroups(settings);
+  const select = document.getElementById('group-filter');
+  select.style.display = groups.length ? '' : 'none';
+  select.innerHTML = '<option value="">All channels</option>' +
+    groups.map(g=>'<option value="' + escapeHtml(g.id) + '">' + escapeHtml(g.name) + '</option>').join('');
+  select.value = selected;
+}
+
+// Snooze all notifications for a few hours, or show until when they are paused (see quiet-hours.js)
+function renderSnoozeBar(quiet, snoozeUntil){
+  const bar = document.getElementById('snooze-bar');
+  const time = (date)=> date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if(snoozeUntil && new Date(snoozeUntil) > new Date()){
+    bar.innerHTML = '🔕 Notifications snoozed until ' + escapeHtml(time(new Date(snoozeUntil))) + ' <button data-snooze="0">Resume</button>';
+    return;
+  }
+  const quietEnd = quietHoursEnd(quiet);
+  if(quietEnd){
+    bar.innerHTML = '🌙 Quiet hours until ' + escapeHtml(time(quietEnd));
+    return;
+  }
+  bar.innerHTML = 'Snooze notifications for <select id="snooze-hours">' +
+    [1, 2, 4, 8].map(h=>'<option value="' + h + '">' + h + 'h</option>').join('') + '</select> <button data-snooze="hours">Snooze</button>';
+}
+
+// Streams below are fixtures or come from a mock server while the developer mode is on (see dev-http.js)
+function renderDevModeWarning(config){
+  const el = document.getElementById('dev-mode-warning');
+  const on = config && config.mode && config.mode !== 'off';
+  el.style.display = on ? '' : 'none';
+  if(on) el.textContent = '🧪 Developer mode (' + (config.mode === 'replay' ? 'replaying "' + config.scenario + '"' : 'mock server') + '): these are not real streams. Turn it off in Options → Diagnostics.';
+}
+
+// Scheduled streams (background.js keeps streamtime_schedule), start times in local time
+function renderUpcoming(streams){
+  const section = document.getElementById('upcoming-section');
+  const next = streams.slice(0, 8);
+  section.style.display = next.length ? 'block' : 'none';
+  document.getElementById('upcoming-list').innerHTML = next.map(stream=>{
+    const platform = getProvider(stream.platform)?.label || stream.platform;
+    const start = new Date(stream.startAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+    return '<div class="entry"><div><a target="_blank" rel="noopener noreferrer" href="' + escapeHtml(stream.url || '#') + '">' + escapeHtml(stream.displayName) + '</a>' +
+      '<div class="small muted">' + escapeHtml(platform + ' · ' + (stream.title || stream.category || 'Scheduled stream')) + '</div></div>' +
+      '<div class="small">' + escapeHtml(start) + '</div></div>';
+  }).join('');
+}
+
+// Recent stream events (went live/offline, title and category changes, viewer milestones)
+function renderActivity(events){
+  const section = document.getElementById('activity-section');
+  const recent = events.slice(0, 8);
+  section.style.display = recent.length ? 'block' : 'none';
+  document.getElementById('activity-list').innerHTML = recent.map(event=>{
+    const { title, message } = describeStreamEvent(event);
+    return '<div class="entry"><div><a target="_blank" rel="noopener noreferrer" href="' + escapeHtml(event.url || '#') + '">' + escapeHtml(title) + '</a>' +
+      '<div class="small muted">' + escapeHtml(message) + '</div></div>' +
+      '<div class="small muted">' + escapeHtml(computeUptime(event.at)) + ' ago</div></div>';
+  }).join('');
+}
+
+// NEW FUNCTION: Generate and display the Mozilla OAuth URL
+async function displayRedirectURL() {
+    const el = document.getElementById('redirect-url');
+    try {
+        // browser.identity.getRedirectURL() generates the unique hash URL
+        const redirectURL = browser.identity.getRedirectURL();
+        el.innerHTML = '<code>' + escapeHtml(redirectURL) + '</code>';
+    } catch (e) {
+        console.error("Failed to get redirect URL:", e);
+        el.innerHTML = '<code style="color:red;">Error getting URL. Check "identity" permission in manifest.</code>';
+    }
+}
+
+function escapeHtml(s){ return (s||'').replace(/[&<>"']/g, c=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' })[c]); }
+
+document.getElementById('vault-unlock-form').addEventListener('submit', async (e)=>{
+  e.preventDefault();
+  const input = document.getElementById('vault-passphrase');
+  const result = await browser.runtime.sendMessage({ action: 'vault_unlock', passphrase: input.value });
+  input.value = '';
+  const error = document.getElementById('vault-error');
+  error.style.display = result.ok ? 'none' : 'block';
+  error.textContent = result.ok ? '' : result.error;
+  render();
+});
+
+// Popup choices (group filter, view mode, sort) are kept in browser.storage.local.streamtime_popup
+async function savePopupPrefs(patch){
+  const popup = (await browser.storage.local.get('streamtime_popup')).streamtime_popup || {};
+  await browser.storage.local.set({ streamtime_popup: Object.assign(popup, patch) });
+}
+
+document.getElementById('snooze-bar').addEventListener('click', async (e)=>{
+  const button = e.target.closest('button[data-snooze]');
+  if(!button) return;
+  if(button.dataset.snooze === '0'){
+    // background.js sends the summary of what was held back on its next poll
+    await browser.storage.local.set({ streamtime_snooze_until: new Date().toISOString() });
+  }else{
+    const hours = Number(document.getElementById('snooze-hours').value);
+    await browser.storage.local.set({ streamtime_snooze_until: new Date(Date.now() + hours*60*60*1000).toISOString() });
+  }
+});
+
+// Mutes a channel's notifications until midnight (mutedUntil on its entry, read by background.js)
+document.body.addEventListener('click', async (e)=>{
+  const button = e.target.closest('button[data-mute]');
+  if(!button) return;
+  const provider = getProvider(button.dataset.platform);
+  const st = (await browser.storage.local.get('streamtime')).streamtime || {};
+  const entry = (st[provider.id]?.channels || []).find(c=>provider.channelKey(c) === button.dataset.channel);
+  if(!entry) return;
+  entry.mutedUntil = button.dataset.mute === '1' ? endOfToday() : null;
+  await browser.storage.local.set({ streamtime: st });
+});
+
+document.getElementById('group-filter').addEventListener('change', (e)=> savePopupPrefs({ group: e.target.value }));
+document.getElementById('view-mode').addEventListener('change', (e)=> savePopupPrefs({ view: e.target.value }));
+document.getElementById('sort-mode').addEventListener('change', (e)=> savePopupPrefs({ sort: e.target.value }));
+document.getElementById('search').addEventListener('input', ()=> render());
+
+document.querySelector('#all-section .open-options').addEventListener('click', ()=>{
+  browser.runtime.openOptionsPage();
+});
+
+document.getElementById('open-history').addEventListener('click', ()=>{
+  browser.tabs.create({ url: browser.runtime.getURL('history.html') });
+});
+
+// Initial load functions
+buildSections();
+render();
+displayRedirectURL(); // <-- NEW: Call the URL display function
+setInterval(tickUptimes, 15000);
+
+// update when storage changes
+browser.storage.onChanged.addListener((changes, area) => {
+  if(area === 'local'){
+    render();
+  }
+});
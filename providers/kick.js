@@ -0,0 +1,241 @@
+// providers/kick.js
+// Kick provider (public API v1). Channel entries look like { slug, id, user_id, name }.
+// No channelAvatar: the channels endpoint returns no profile picture.
+// No importFollows: the public API has no endpoint listing the channels a user follows.
+// No fetchSchedule: the public API has no stream schedules either.
+
+// Kick's OAuth and API endpoints
+const KICK_TOKEN_URL = "https://id.kick.com/oauth/token";
+const KICK_INTROSPECT_URL = "https://api.kick.com/public/v1/token/introspect";
+const KICK_CHANNELS_URL = "https://api.kick.com/public/v1/channels";
+const KICK_CHANNELS_PER_REQUEST = 50; // broadcaster_user_id values the channels endpoint accepts at once
+// first path segments of kick.com pages that are not channels
+const KICK_RESERVED_PATHS = ['browse', 'categories', 'category', 'following', 'search', 'video', 'clips', 'dashboard', 'settings', 'terms-of-service', 'privacy-policy'];
+
+const kickProvider = {
+    id: 'kick',
+    label: 'Kick',
+    tokenCookie: { url: 'https://kick.com/', name: 'kick_access_token' },
+    inputField: 'slug',
+
+    channelKey(channel){
+        return String(channel.id || channel.broadcaster_user_id || '');
+    },
+
+    channelUrl(channel){
+        return 'https://kick.com/' + (channel.slug || '');
+    },
+
+    channelName(channel){
+        return channel.name || channel.slug || this.channelKey(channel);
+    },
+
+    channelHosts: ['kick.com'],
+
+    // kick.com/<slug>[/videos|/clips|...]
+    parseChannelUrl(url){
+        const slug = url.pathname.split('/')[1] || '';
+        if(!/^[A-Za-z0-9_-]+$/.test(slug) || KICK_RESERVED_PATHS.includes(slug.toLowerCase())) return null;
+        return slug.toLowerCase();
+    },
+
+    // slugs are lowercase; the channels endpoint does not match other spellings
+    normalizeChannelInput(text){
+        return text.replace(/^@/, '').toLowerCase();
+    },
+
+    async check(settings, ctx = {}){
+        if (!settings || !settings.channels) return [];
+
+        const ids = settings.channels.map(c => this.channelKey(c)).filter(Boolean);
+        if (!ids.length) return [];
+
+        const { results, failedKeys, error } = await runBatches(ids, KICK_CHANNELS_PER_REQUEST, batch => this.fetchChannels(batch, settings, ctx));
+        if (failedKeys.length === ids.length) throw error;
+        if (failedKeys.length) throw partialCheckError(results, failedKeys, error);
+        return results;
+    },
+
+    async fetchChannels(ids, settings, ctx){
+        const url = new URL(KICK_CHANNELS_URL);
+
+        // Use append to add multiple 'broadcaster_user_id' parameters
+        // This creates ?broadcaster_user_id=123&broadcaster_user_id=456
+        ids.forEach(id => url.searchParams.append("broadcaster_user_id", id));
+
+        const headers = { "Accept": "application/json" };
+        if (settings.accessToken) headers.Authorization = 'Bearer ' + settings.accessToken;
+
+        try {
+            const res = await providerFetch('kick', url, { headers });
+
+            // --- lazy refresh logic ---
+            if (res.status === 401 || res.status === 403) {
+                console.warn('[Kick] Access token expired, refreshing...');
+                const newToken = ctx.refreshAuth ? await ctx.refreshAuth() : null;
+                if (newToken) {
+                    // Since loadSettings pulls from cookie, we need to manually update the setting for the retry
+                    settings.accessToken = newToken;
+                    return await this.fetchChannels(ids, settings, { ...ctx, refreshAuth: null }); // retry once
+                } else {
+                    console.error('[Kick] Token refresh failed, skipping.');
+                    throw providerError('Access token rejected and refresh failed', res.status, 'auth');
+                }
+            }
+
+            if (!res.ok) {
+                console.warn(`Kick API error ${res.status}: ${res.statusText}`);
+                throw providerError(`Channels request failed (HTTP ${res.status})`, res.status, res.status === 429 ? 'quota' : 'http');
+            }
+
+            const json = await res.json();
+            const channels = json.data || [];
+
+            return channels.filter(ch => ch.stream && ch.stream.is_live)
+                .map(ch => makeStreamRecord({
+                    platform: 'kick',
+                    channelKey: ch.broadcaster_user_id,
+                    displayName: ch.slug,
+                    title: ch.stream_title || `Live on ${ch.slug}`,
+                    category: ch.category?.name || "Unknown",
+                    viewers: ch.stream.viewer_count,
+                    startedAt: ch.stream.start_time,
+                    url: `https://kick.com/${ch.slug}`,
+                    thumbnail: ch.stream.thumbnail
+                }));
+        } catch (e) {
+            console.error("Kick channels batch error:", e);
+            throw e;
+        }
+    },
+
+    // Attempt to convert slugs to channel objects.
+    async resolveChannels(slugs, settings){
+        if(!slugs.length) return [];
+        const accessToken = settings?.accessToken;
+
+        // Store results in a map for easy lookup by original slug
+        const resultsMap = new Map(slugs.map(s => [s, { slug: s, id: null }]));
+
+        // 1. Build the API URL for batch lookup using the 'slug' parameter
+        const url = new URL(KICK_CHANNELS_URL);
+
+        // Append multiple 'slug' parameters for batch lookup
+        for (const s of slugs) {
+            url.searchParams.append("slug", s);
+        }
+
+        const headers = {
+            "Accept": "application/json",
+        };
+        if (accessToken) {
+            headers.Authorization = 'Bearer ' + accessToken;
+        }
+
+        try {
+            console.log(`[Kick Convert] Attempting batch lookup for ${slugs.length} slugs.`);
+            const res = await providerFetch('kick', url.toString(), { headers });
+
+            if (!res.ok) {
+                console.error(`Kick API lookup failed with status ${res.status}: ${res.statusText}`);
+                // Do not throw, just return the list of non-converted slugs
+                return Array.from(resultsMap.values());
+            }
+
+            const json = await res.json();
+            const channels = json.data || [];
+
+            // 2. Process the batch response
+            for (const ch of channels) {
+                const slug = ch.slug;
+                const id = ch.broadcaster_user_id;
+
+                if (slug && id) {
+                    // If a channel was successfully found, update the results map
+                    resultsMap.set(slug, {
+                        slug: slug,
+                        id: id,
+                        user_id: id, // For consistency with previous logic
+                        name: ch.name || ch.slug
+                    });
+                } else {
+                    console.warn(`[Kick Convert] Found channel object but missing slug or ID:`, ch);
+                }
+            }
+
+            console.log(`[Kick Convert] Successfully converted ${channels.length} slugs.`);
+
+        } catch(e){
+            console.error(`Kick batch conversion error:`, e);
+        }
+
+        // 3. Return the array of all results (converted or not)
+        return Array.from(resultsMap.values());
+    },
+
+    // Checks the access token with the introspection endpoint (data.active, data.exp in unix seconds).
+    async validateAuth(settings){
+        const res = await providerFetch('kick', KICK_INTROSPECT_URL, {
+            method: "POST",
+            headers: { "Authorization": 'Bearer ' + settings.accessToken }
+        });
+        if (res.status === 401) return { valid: false };
+        if (!res.ok) throw providerError(`Token introspection failed (HTTP ${res.status})`, res.status);
+        const data = (await res.json()).data || {};
+        if (!data.active) return { valid: false };
+        return { valid: true, expiresIn: data.exp ? Math.floor(data.exp - Date.now() / 1000) : null };
+    },
+
+    // Exchanges the refresh token; background.js stores the returned tokens.
+    async refreshAuth(settings){
+        const { clientId, clientSecret, refreshToken } = settings || {};
+        if (!clientId || !clientSecret || !refreshToken) {
+            console.warn("[Kick] Missing credentials for token refresh. Skipping.");
+            return null;
+        }
+
+        // Debug logging for troubleshooting 401 errors
+        console.log(`[Kick Token Refresh Debug] Preparing request to: ${KICK_TOKEN_URL}`);
+        console.log(`[Kick Token Refresh Debug] Client ID (start): ${clientId.substring(0, 8)}...`);
+        console.log(`[Kick Token Refresh Debug] Refresh Token (end): ...${refreshToken.substring(refreshToken.length - 8)}`);
+
+        try {
+            const response = await providerFetch('kick', KICK_TOKEN_URL, {
+                method: "POST",
+                headers: { "Content-Type": "application/x-www-form-urlencoded" },
+                body: new URLSearchParams({
+                    grant_type: "refresh_token",
+                    refresh_token: refreshToken,
+                    client_id: clientId,
+                    client_secret: clientSecret
+                })
+            });
+
+            // IMPORTANT: Check status before parsing JSON
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error(`[Kick] Token refresh failed with status ${response.status}: ${errorText}`);
+                return null;
+            }
+
+            const data = await response.json();
+
+            if (data.access_token) {
+                console.log("[Kick] Access token refreshed successfully.");
+                return {
+                    accessToken: data.access_token,
+                    refreshToken: data.refresh_token || refreshToken,
+                    expiresIn: data.expires_in
+                };
+            } else {
+                console.error("[Kick] Failed to refresh token (unexpected response structure):", data);
+                return null;
+            }
+        } catch (err) {
+            console.error("[Kick] Refresh token error:", err);
+            return null;
+        }
+    }
+};
+
+registerProvider(kickProvider);
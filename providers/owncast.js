@@ -0,0 +1,100 @@
+// providers/owncast.js
+// Owncast provider: self-hosted servers with one stream each, checked through their public status
+// endpoint. Channel entries look like { id, server, name }; server is the address (scheme, host and
+// port) and id its host. Every server needs its own host permission, which the
+// options page asks for when channels are added (hostPermissions).
+// No auth, importFollows or fetchSchedule: the status API is public and Owncast has no schedules.
+
+const OWNCAST_STATUS_PATH = '/api/status';
+const OWNCAST_CONFIG_PATH = '/api/config';
+
+const owncastProvider = {
+    id: 'owncast',
+    label: 'Owncast',
+    tokenCookie: null,
+    inputField: 'server',
+    selfHosted: true,
+
+    channelKey(channel){
+        return String(channel.id || '');
+    },
+
+    channelUrl(channel){
+        return channel.server || '';
+    },
+
+    channelName(channel){
+        return channel.name || channel.id || channel.server || '';
+    },
+
+    channelAvatar(channel){
+        return channel.id ? channel.server + '/logo' : '';
+    },
+
+    channelHosts: [],
+
+    // Owncast serves its one stream at the root, so only the server's address counts
+    parseChannelUrl(url){
+        return /^https?:$/.test(url.protocol) ? url.origin : null;
+    },
+
+    // a host name without scheme, e.g. live.example.org; with a port (live.example.org:8080) it is
+    // most likely Owncast's own plain-HTTP server rather than one behind an HTTPS proxy
+    normalizeChannelInput(text){
+        const scheme = /:\d+(\/|$)/.test(text) ? 'http://' : 'https://';
+        try { return this.parseChannelUrl(new URL(scheme + text)); } catch(e){ return null; }
+    },
+
+    hostPermissions(server){
+        return [hostPermissionPattern(server)];
+    },
+
+    async check(settings){
+        const channels = new Map((settings?.channels || []).filter(c => this.channelKey(c)).map(c => [this.channelKey(c), c]));
+        if (!channels.size) return [];
+
+        // one status request per server
+        const { results, failedKeys, error } = await runBatches([...channels.keys()], 1, ([key]) => this.fetchStatus(channels.get(key)));
+        if (failedKeys.length === channels.size) throw error;
+        if (failedKeys.length) throw partialCheckError(results, failedKeys, error);
+        return results;
+    },
+
+    async fetchStatus(channel){
+        await requireHostPermission(channel.server);
+        const res = await providerFetch('owncast', channel.server + OWNCAST_STATUS_PATH, { headers: { Accept: 'application/json' } });
+        if (!res.ok) {
+            throw providerError(`Status request to ${channel.id} failed (HTTP ${res.status})`, res.status, res.status === 429 ? 'quota' : 'http');
+        }
+        const status = await res.json();
+        if (!status.online) return [];
+        return [makeStreamRecord({
+            platform: 'owncast',
+            channelKey: channel.id,
+            displayName: this.channelName(channel),
+            title: status.streamTitle || `Live on ${this.channelName(channel)}`,
+            viewers: status.viewerCount,
+            startedAt: status.lastConnectTime,
+            url: channel.server,
+            thumbnail: channel.server + '/thumbnail.jpg'
+        })];
+    },
+
+    // Confirms that each address is an Owncast server and takes the server's name from its config.
+    // The scheme stays as given: plain HTTP only when the address says so.
+    async resolveChannels(inputs){
+        const results = [];
+        for (const server of inputs) {
+            await requireHostPermission(server);
+            const res = await providerFetch('owncast', server + OWNCAST_CONFIG_PATH, { headers: { Accept: 'application/json' } });
+            if (!res.ok) throw providerError(`Not an Owncast server (HTTP ${res.status})`, res.status);
+            const config = await res.json().catch(() => null);
+            if (!config || typeof config.name !== 'string') throw new Error('Not an Owncast server');
+            const host = new URL(server).host;
+            results.push({ id: host, server, name: config.name || host });
+        }
+        return results;
+    }
+};
+
+registerProvider(owncastProvider);
@@ -0,0 +1,123 @@
+// providers/peertube.js
+// PeerTube provider: video channels on any instance, checked through the instance's video API (the
+// channel's live videos that are currently running). Channel entries look like
+// { id, handle, instance, name, displayName, avatar }; id and handle are "<channel>@<host>" and
+// instance is the channel's home instance, which is asked directly rather than the instance the
+// channel was found on. Host permissions are asked for per instance, as for Owncast.
+// No auth, importFollows or fetchSchedule: the video API is public and lives are not scheduled there.
+
+const PEERTUBE_HANDLE_PATTERN = /^([A-Za-z0-9_.-]+)@([A-Za-z0-9.-]+\.[A-Za-z0-9-]+(?::\d+)?)$/;
+const PEERTUBE_LIVE_STATE_RUNNING = 1; // state.id of a live that is on air (4: waiting, 5: ended)
+const PEERTUBE_LIVE_PAGE_SIZE = 10;
+
+const peertubeProvider = {
+    id: 'peertube',
+    label: 'PeerTube',
+    tokenCookie: null,
+    inputField: 'handle',
+    selfHosted: true,
+
+    channelKey(channel){
+        return String(channel.id || '');
+    },
+
+    channelUrl(channel){
+        return channel.instance ? `${channel.instance}/c/${channel.name}` : '';
+    },
+
+    channelName(channel){
+        return channel.displayName || channel.name || channel.handle || this.channelKey(channel);
+    },
+
+    channelAvatar(channel){
+        return channel.avatar || '';
+    },
+
+    channelHosts: [],
+
+    // <instance>/c/<channel>[@<host>][/...] and <instance>/video-channels/<channel>[@<host>]
+    parseChannelUrl(url){
+        const [, section, name] = url.pathname.split('/');
+        if (!['c', 'video-channels'].includes(section) || !name) return null;
+        const handle = decodeURIComponent(name);
+        return this.normalizeChannelInput(handle.includes('@') ? handle : `${handle}@${url.host}`);
+    },
+
+    // channel@instance.org, @channel@instance.org or a link without https://
+    normalizeChannelInput(text){
+        const handle = text.replace(/^@/, '');
+        if (!handle.includes('@')) {
+            try { return this.parseChannelUrl(new URL('https://' + text)); } catch(e){ return null; }
+        }
+        const match = PEERTUBE_HANDLE_PATTERN.exec(handle);
+        return match ? `${match[1]}@${match[2].toLowerCase()}` : null;
+    },
+
+    hostPermissions(handle){
+        return [hostPermissionPattern('https://' + handle.split('@')[1])];
+    },
+
+    async check(settings){
+        const channels = new Map((settings?.channels || []).filter(c => this.channelKey(c)).map(c => [this.channelKey(c), c]));
+        if (!channels.size) return [];
+
+        // one request per channel; the API has no batch lookup across channels
+        const { results, failedKeys, error } = await runBatches([...channels.keys()], 1, ([key]) => this.fetchLive(channels.get(key)));
+        if (failedKeys.length === channels.size) throw error;
+        if (failedKeys.length) throw partialCheckError(results, failedKeys, error);
+        return results;
+    },
+
+    async fetchLive(channel){
+        await requireHostPermission(channel.instance);
+        const url = new URL(`${channel.instance}/api/v1/video-channels/${encodeURIComponent(channel.name)}/videos`);
+        url.searchParams.set('isLive', 'true');
+        url.searchParams.set('sort', '-publishedAt');
+        url.searchParams.set('count', PEERTUBE_LIVE_PAGE_SIZE);
+        const res = await providerFetch('peertube', url, { headers: { Accept: 'application/json' } });
+        if (!res.ok) {
+            throw providerError(`Videos request for ${channel.id} failed (HTTP ${res.status})`, res.status, res.status === 429 ? 'quota' : 'http');
+        }
+        const videos = (await res.json()).data || [];
+        // a channel with several lives on air counts once, with the newest
+        const video = videos.find(v => v.isLive && v.state?.id === PEERTUBE_LIVE_STATE_RUNNING);
+        if (!video) return [];
+        return [makeStreamRecord({
+            platform: 'peertube',
+            channelKey: channel.id,
+            displayName: this.channelName(channel),
+            title: video.name,
+            category: video.category?.label || '',
+            viewers: video.viewers || 0, // current viewers (PeerTube 5+); views is the all-time count
+            startedAt: null, // the public API does not say when the live session began
+            url: `${channel.instance}/w/${video.shortUUID || video.uuid}`,
+            thumbnail: video.previewPath ? channel.instance + video.previewPath : ''
+        })];
+    },
+
+    // Looks the handles up on their home instances; unknown channels are left out.
+    async resolveChannels(handles){
+        const results = [];
+        for (const handle of handles) {
+            const [name, host] = handle.split('@');
+            const instance = 'https://' + host;
+            await requireHostPermission(instance);
+            const res = await providerFetch('peertube', `${instance}/api/v1/video-channels/${encodeURIComponent(name)}`, { headers: { Accept: 'application/json' } });
+            if (res.status === 404) continue;
+            if (!res.ok) throw providerError(`Channel lookup failed (HTTP ${res.status})`, res.status);
+            const channel = await res.json();
+            const avatar = channel.avatars?.[0] || channel.avatar;
+            results.push({
+                id: handle,
+                handle,
+                instance,
+                name: channel.name || name,
+                displayName: channel.displayName || '',
+                avatar: avatar ? avatar.fileUrl || instance + avatar.path : ''
+            });
+        }
+        return results;
+    }
+};
+
+registerProvider(peertubeProvider);
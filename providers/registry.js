@@ -0,0 +1,270 @@
+// providers/registry.js
+// Platform provider registry shared by background.js, popup.js and options.js.
+// Each platform lives in its own providers/<id>.js file and registers an object implementing:
+//
+//   id                                  storage key of the platform ("twitch", "kick", ...)
+//   label                               human readable platform name
+//   tokenCookie                         { url, name } of the access-token cookie, or null
+//   inputField                          field of a channel entry holding the resolveChannels() input it was
+//                                          added with; an entry that is not resolved (yet) has only this one
+//   channelKey(channel)                 stable key of a configured channel entry
+//   channelUrl(channel)                 public page of a configured channel entry
+//   channelName(channel)                display name of a configured channel entry
+//   channelAvatar(channel)              avatar image URL of a configured channel entry (optional)
+//   channelHosts                        host names of the platform's site, without "www." or "m."
+//   parseChannelUrl(url)                -> resolveChannels() input for a URL on channelHosts, or null
+//                                          when the link does not name a channel
+//   normalizeChannelInput(text)         -> resolveChannels() input for a typed name (optional)
+//   selfHosted                          true when channels live on servers of their own (Owncast, PeerTube):
+//                                          links to hosts no other platform claims go to its parseChannelUrl
+//                                          when entered in its list (optional)
+//   hostPermissions(input)              -> match patterns of the servers a resolveChannels() input needs; the
+//                                          options page asks for them at runtime (optional_permissions)
+//   check(settings, ctx)                -> Promise<StreamRecord[]> channels that are live right now;
+//                                          rejects (see providerError) when the platform could not be checked,
+//                                          or with partialCheckError() when only some batches failed.
+//                                          ctx.refreshAuth() (background) refreshes the token after a 401
+//                                          and resolves to the new access token or null.
+//   resolveChannels(inputs, settings)   -> Promise<object[]> channel entries for user input; an entry
+//                                          without a key may list candidates (channel entries) to pick from
+//   rememberResolution(input, channel)  stores the candidate the user picked for an input (optional)
+//   importFollows(settings)             -> Promise<object[]> channel entries followed by the authorized
+//                                          account (optional; see follows.js)
+//   fetchSchedule(settings)             -> Promise<object[]> scheduled streams (makeScheduledStream) of the
+//                                          configured channels (optional)
+//   refreshAuth(settings)               -> Promise<{accessToken, refreshToken, expiresIn}|null> (optional)
+//   validateAuth(settings)              -> Promise<{valid, expiresIn}> checks the access token (optional)
+//
+// Providers make their HTTP requests through providerFetch(), which counts them per platform and
+// notes when the platform asks to slow down (Retry-After, Twitch Ratelimit-* headers).
+//
+// Adding a platform means adding one provider file and listing it next to the others
+// in manifest.json, popup.html, options.html and history.html.
+
+const streamProviders = new Map();
+
+// Fields of streamtime.<platform> that hold credentials. They are left out of exports unless encrypted
+// and, with the vault enabled, only exist encrypted (see vault.js).
+const PROVIDER_SECRET_FIELDS = ['clientSecret', 'oauthClientSecret', 'refreshToken', 'accessToken'];
+
+/**
+ * Registers a platform provider. Later registrations with the same id replace earlier ones.
+ * @param {object} provider - Object implementing the provider interface described above.
+ */
+function registerProvider(provider){
+    for(const member of ['id', 'label', 'inputField', 'channelKey', 'channelUrl', 'channelName', 'check', 'resolveChannels']){
+        if(!provider || provider[member] === undefined){
+            throw new Error(`Stream provider is missing "${member}".`);
+        }
+    }
+    streamProviders.set(provider.id, provider);
+}
+
+function getProvider(id){
+    return streamProviders.get(id) || null;
+}
+
+/**
+ * @returns {object[]} All registered providers, in registration order.
+ */
+function listProviders(){
+    return Array.from(streamProviders.values());
+}
+
+/**
+ * Turns one line of channel input into the input for a platform's resolveChannels(). Links are
+ * parsed by the provider whose site they point to, so a kick.com link pasted into the Twitch list
+ * is returned for Kick.
+ * @param {string} text - Name, @handle, channel ID or link (with or without https://).
+ * @param {string} platform - Provider id of the list the input was entered for.
+ * @returns {{platform: string, input: string|null}} input is null for links that name no channel
+ *          or belong to no registered platform.
+ */
+function parseChannelInput(text, platform){
+    text = String(text || '').trim();
+    const hasScheme = /^https?:\/\//i.test(text);
+    let url = null;
+    if(!/\s/.test(text)){
+        try { url = new URL(hasScheme ? text : 'https://' + text); } catch(e){}
+    }
+    const host = url?.hostname.toLowerCase().replace(/^(www|m)\./, '');
+    const owner = host && listProviders().find(p => p.channelHosts?.includes(host));
+    if(owner) return { platform: owner.id, input: owner.parseChannelUrl(url) };
+    const provider = getProvider(platform);
+    if(hasScheme) return { platform, input: provider.selfHosted && url ? provider.parseChannelUrl(url) : null };
+
+    return { platform, input: provider.normalizeChannelInput ? provider.normalizeChannelInput(text) : text };
+}
+
+/**
+ * Match pattern of the host permission for a server (patterns cannot name a port).
+ * @param {string} url - Any URL on the server.
+ */
+function hostPermissionPattern(url){
+    const { protocol, hostname } = new URL(url);
+    return `${protocol}//${hostname}/*`;
+}
+
+/**
+ * Rejects when the add-on may not contact a self-hosted server: its host permission was never
+ * granted or was withdrawn in the add-on manager.
+ */
+async function requireHostPermission(url){
+    if(!(await browser.permissions.contains({ origins: [hostPermissionPattern(url)] }))){
+        throw providerError(`No access to ${new URL(url).host}; allow it in the options`, null, 'auth');
+    }
+}
+
+const providerRequestStats = new Map(); // platform id -> { requests, lastStatus, lastError, retryAt }
+
+/**
+ * Earliest time a platform wants to be asked again, from Retry-After (seconds or an HTTP date) or
+ * Twitch's Ratelimit-Remaining / Ratelimit-Reset (unix seconds) once the bucket is empty.
+ * @returns {number|null} Milliseconds since the epoch.
+ */
+function retryAtFromHeaders(headers){
+    const retryAfter = headers.get('Retry-After');
+    if (retryAfter) {
+        const at = /^\d+$/.test(retryAfter.trim()) ? Date.now() + Number(retryAfter) * 1000 : Date.parse(retryAfter);
+        if (!isNaN(at)) return at;
+    }
+    if (headers.get('Ratelimit-Remaining') === '0' && headers.get('Ratelimit-Reset')) {
+        return Number(headers.get('Ratelimit-Reset')) * 1000 || null;
+    }
+    return null;
+}
+
+// Function with fetch()'s signature that sends every provider request; null uses fetch(). The
+// developer mode (dev-http.js) swaps in fixture replay or a local mock server here.
+let providerHttpClient = null;
+
+function setProviderHttpClient(client){
+    providerHttpClient = client || null;
+}
+
+/**
+ * fetch() for provider requests: same arguments and result, but counts requests and remembers the
+ * last HTTP status and any rate-limit wait per platform for the poll scheduler and diagnostics.
+ * All platform HTTP goes through here, so it also goes through setProviderHttpClient()'s client.
+ * @param {string} platform - Provider id.
+ */
+async function providerFetch(platform, url, options){
+    const stats = providerRequestStats.get(platform) || { requests: 0, lastStatus: null, lastError: null };
+    providerRequestStats.set(platform, stats);
+    stats.requests++;
+    try {
+        const res = await (providerHttpClient || fetch)(url, options);
+        stats.lastStatus = res.status;
+        stats.lastError = null;
+        const retryAt = retryAtFromHeaders(res.headers);
+        if (retryAt) stats.retryAt = Math.max(stats.retryAt || 0, retryAt);
+        return res;
+    } catch (e) {
+        stats.lastStatus = null;
+        stats.lastError = e.message;
+        throw e;
+    }
+}
+
+/**
+ * Returns the request statistics gathered since the last call and starts counting from zero.
+ */
+function takeProviderRequestStats(platform){
+    const stats = providerRequestStats.get(platform) || { requests: 0, lastStatus: null, lastError: null };
+    providerRequestStats.delete(platform);
+    return stats;
+}
+
+/**
+ * Builds the canonical record of an announced stream, kept in browser.storage.local.streamtime_schedule.
+ * @param {object} fields - platform, channelKey, id (of the segment or video), displayName, title, category, startAt, url.
+ * @returns {object} The normalized scheduled stream.
+ */
+function makeScheduledStream(fields){
+    return {
+        platform: fields.platform,
+        channelKey: String(fields.channelKey),
+        id: String(fields.id),
+        displayName: fields.displayName || String(fields.channelKey),
+        title: fields.title || '',
+        category: fields.category || '',
+        startAt: fields.startAt,
+        url: fields.url || ''
+    };
+}
+
+/**
+ * Creates the error a provider throws when a platform request fails.
+ * @param {string} message - What went wrong.
+ * @param {number} [status] - HTTP status, if a response was received.
+ * @param {string} [kind='http'] - 'auth' (token rejected/refresh failed), 'quota' (rate limit or quota exhausted),
+ *                                 'http' (other HTTP error) or 'network'.
+ * @returns {Error} Error with status and kind properties.
+ */
+function providerError(message, status, kind = 'http'){
+    return Object.assign(new Error(message), { status: status || null, kind });
+}
+
+const PROVIDER_BATCH_CONCURRENCY = 4; // Requests of one platform in flight at a time
+
+/**
+ * Splits keys into API-sized batches and runs run(batch) for them, at most
+ * PROVIDER_BATCH_CONCURRENCY at a time. A failing batch does not stop the others.
+ * @param {string[]} keys - Channel keys, video IDs, ...
+ * @param {number} size - Largest batch the API accepts.
+ * @param {function(string[]): Promise<any[]>} run - Request for one batch.
+ * @returns {Promise<{results: any[], failedKeys: string[], error: Error|null}>} Concatenated results of
+ *          the batches that succeeded, the keys of the ones that failed and the last error.
+ */
+async function runBatches(keys, size, run){
+    const batches = [];
+    for (let i = 0; i < keys.length; i += size) batches.push(keys.slice(i, i + size));
+    const results = [];
+    const failedKeys = [];
+    let error = null;
+    let next = 0;
+    const worker = async () => {
+        while (next < batches.length) {
+            const batch = batches[next++];
+            try {
+                results.push(...await run(batch));
+            } catch (e) {
+                failedKeys.push(...batch);
+                error = e;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(PROVIDER_BATCH_CONCURRENCY, batches.length) }, worker));
+    return { results, failedKeys, error };
+}
+
+/**
+ * Error for a check that reached only some channels. e.partial carries the streams that were found
+ * and the channel keys that were not checked, so the caller can keep their last known state.
+ */
+function partialCheckError(streams, failedKeys, error){
+    return Object.assign(
+        providerError(`${error.message} (${failedKeys.length} channels not checked)`, error.status, error.kind),
+        { partial: { streams, failedKeys } }
+    );
+}
+
+/**
+ * Builds the canonical live-stream record stored in browser.storage.local.streamtime_live.
+ * Every provider returns these, so consumers never need to know platform field names.
+ * @param {object} fields - platform, channelKey, displayName, title, category, viewers, startedAt, url, thumbnail.
+ * @returns {object} The normalized stream record.
+ */
+function makeStreamRecord(fields){
+    return {
+        platform: fields.platform,
+        channelKey: String(fields.channelKey),
+        displayName: fields.displayName || String(fields.channelKey),
+        title: fields.title || '',
+        category: fields.category || '',
+        viewers: Number(fields.viewers) || 0,
+        startedAt: fields.startedAt || null,
+        url: fields.url || '',
+        thumbnail: fields.thumbnail || ''
+    };
+}
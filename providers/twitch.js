@@ -0,0 +1,252 @@
+// providers/twitch.js
+// Twitch (Helix) provider. Channel entries are Helix user objects: { id, login, display_name, ... }.
+
+const TWITCH_LOGIN_PATTERN = /^[A-Za-z0-9_]{1,25}$/;
+// first path segments of twitch.tv pages that are not channels
+const TWITCH_RESERVED_PATHS = ['directory', 'videos', 'search', 'settings', 'subscriptions', 'inventory', 'drops', 'wallet', 'downloads', 'jobs', 'p', 'prime', 'turbo', 'login', 'signup'];
+
+const twitchProvider = {
+    id: 'twitch',
+    label: 'Twitch',
+    tokenCookie: { url: 'https://api.twitch.tv/', name: 'twitch_access_token' },
+    inputField: 'login',
+
+    channelKey(channel){
+        return String(channel.id || channel.user_id || channel.broadcaster_id || '');
+    },
+
+    channelUrl(channel){
+        return 'https://twitch.tv/' + (channel.login || channel.user_login || channel.name || '');
+    },
+
+    channelName(channel){
+        return channel.display_name || channel.login || channel.name || this.channelKey(channel);
+    },
+
+    channelAvatar(channel){
+        return channel.profile_image_url || '';
+    },
+
+    channelHosts: ['twitch.tv', 'player.twitch.tv'],
+
+    // twitch.tv/<login>[/...] and the popout player's ?channel=<login>
+    parseChannelUrl(url){
+        const login = url.searchParams.get('channel') || url.pathname.split('/')[1] || '';
+        if(!TWITCH_LOGIN_PATTERN.test(login) || TWITCH_RESERVED_PATHS.includes(login.toLowerCase())) return null;
+        return login.toLowerCase();
+    },
+
+    // logins are case-insensitive; Helix returns them lowercase
+    normalizeChannelInput(text){
+        return text.replace(/^@/, '').toLowerCase();
+    },
+
+    async check(settings, ctx = {}){
+        if(!settings || !settings.clientId || !settings.accessToken || !settings.channels) return [];
+        const ids = settings.channels.map(c => this.channelKey(c)).filter(Boolean);
+        if(!ids.length) return [];
+        // helix/streams takes up to 100 user_id parameters per request
+        const { results, failedKeys, error } = await runBatches(ids, 100, batch => this.fetchStreams(batch, settings, ctx));
+        if(failedKeys.length === ids.length) throw error;
+        if(failedKeys.length) throw partialCheckError(results, failedKeys, error);
+        return results;
+    },
+
+    async fetchStreams(ids, settings, ctx){
+        try {
+            const url = 'https://api.twitch.tv/helix/streams?' + ids.map(i=>'user_id='+encodeURIComponent(i)).join('&');
+            const res = await providerFetch('twitch', url, {
+                headers: {
+                    'Client-ID': settings.clientId,
+                    'Authorization': 'Bearer ' + settings.accessToken
+                }
+            });
+
+            // --- lazy refresh logic ---
+            if(res.status === 401 || res.status === 403) {
+                console.warn('[Twitch] Access token expired, refreshing...');
+                const newToken = ctx.refreshAuth ? await ctx.refreshAuth() : null;
+                if (newToken) {
+                    // Since loadSettings pulls from cookie, we need to manually update the setting for the retry
+                    settings.accessToken = newToken;
+                    // retry once
+                    return await this.fetchStreams(ids, settings, { ...ctx, refreshAuth: null });
+                } else {
+                    console.error('[Twitch] Token refresh failed, skipping.');
+                    throw providerError('Access token rejected and refresh failed', res.status, 'auth');
+                }
+            }
+
+            if(!res.ok) {
+                console.warn('Twitch streams fetch failed', res.status);
+                throw providerError(`Streams request failed (HTTP ${res.status})`, res.status, res.status === 429 ? 'quota' : 'http');
+            }
+
+            const j = await res.json();
+            return j.data.map(s => makeStreamRecord({
+                platform: 'twitch',
+                channelKey: s.user_id,
+                displayName: s.user_name || s.user_login,
+                title: s.title,
+                category: s.game_name,
+                viewers: s.viewer_count,
+                startedAt: s.started_at,
+                url: 'https://twitch.tv/' + s.user_login,
+                thumbnail: (s.thumbnail_url || '').replace('{width}', '320').replace('{height}', '180')
+            }));
+        } catch(e) {
+            console.error('Twitch streams batch error', e);
+            throw e;
+        }
+    },
+
+    // Upcoming segments of each channel's stream schedule (one request per channel; 404 = no schedule)
+    async fetchSchedule(settings){
+        if(!settings || !settings.clientId || !settings.accessToken || !settings.channels) return [];
+        const ids = settings.channels.map(c => this.channelKey(c)).filter(Boolean);
+        const { results, failedKeys, error } = await runBatches(ids, 1, async ([broadcasterId]) => {
+            const out = [];
+            try {
+                const res = await providerFetch('twitch', 'https://api.twitch.tv/helix/schedule?' + new URLSearchParams({ broadcaster_id: broadcasterId, first: 5 }), {
+                    headers: {
+                        'Client-ID': settings.clientId,
+                        'Authorization': 'Bearer ' + settings.accessToken
+                    }
+                });
+                if(res.status === 404) return out;
+                if(!res.ok) throw providerError(`Schedule request failed (HTTP ${res.status})`, res.status, res.status === 401 ? 'auth' : res.status === 429 ? 'quota' : 'http');
+                const { data } = await res.json();
+                for(const segment of data.segments || []){
+                    if(segment.canceled_until) continue;
+                    out.push(makeScheduledStream({
+                        platform: 'twitch',
+                        channelKey: data.broadcaster_id,
+                        id: segment.id,
+                        displayName: data.broadcaster_name || data.broadcaster_login,
+                        title: segment.title,
+                        category: segment.category?.name,
+                        startAt: segment.start_time,
+                        url: 'https://twitch.tv/' + data.broadcaster_login
+                    }));
+                }
+            } catch(e) {
+                console.warn('[Twitch] Schedule lookup failed for', broadcasterId, e);
+                throw e;
+            }
+            return out;
+        });
+        if(ids.length && failedKeys.length === ids.length) throw error;
+        return results;
+    },
+
+    // Convert usernames to user objects via Helix /users?login=
+    async resolveChannels(usernames, settings){
+        if(!usernames.length) return [];
+        const { clientId, accessToken } = settings || {};
+        if(!clientId || !accessToken) throw new Error('Twitch client id and access token required for conversion.');
+        const chunks = [];
+        for(let i=0;i<usernames.length;i+=100) chunks.push(usernames.slice(i,i+100));
+        const results = [];
+        for(const chunk of chunks){
+            const url = 'https://api.twitch.tv/helix/users?'+ new URLSearchParams(chunk.map(u=>['login',u]));
+            const res = await providerFetch('twitch', url, {
+                headers: {
+                    'Client-ID': clientId,
+                    'Authorization': 'Bearer ' + accessToken,
+                }
+            });
+            if(!res.ok) {
+                const txt = await res.text();
+                throw new Error('Twitch users lookup failed: '+res.status+' '+txt);
+            }
+            const data = await res.json();
+            // data.data is an array of user objects with id and login
+            results.push(...(data.data||[]));
+        }
+        return results;
+    },
+
+    // Channels followed by the account the access token belongs to (needs the user:read:follows scope).
+    async importFollows(settings){
+        const { clientId, accessToken } = settings || {};
+        if(!clientId || !accessToken) throw new Error('Twitch client id and access token required to import follows.');
+        const headers = {
+            'Client-ID': clientId,
+            'Authorization': 'Bearer ' + accessToken
+        };
+
+        const me = await providerFetch('twitch', 'https://api.twitch.tv/helix/users', { headers });
+        if(!me.ok) throw providerError(`Users lookup failed (HTTP ${me.status})`, me.status, me.status === 401 ? 'auth' : 'http');
+        const user = (await me.json()).data?.[0];
+        if(!user) throw new Error('Twitch did not return the authorized user.');
+
+        const follows = [];
+        let cursor = '';
+        do {
+            const params = new URLSearchParams({ user_id: user.id, first: '100' });
+            if(cursor) params.set('after', cursor);
+            const res = await providerFetch('twitch', 'https://api.twitch.tv/helix/channels/followed?' + params, { headers });
+            if(res.status === 401) throw providerError('Access token lacks the user:read:follows scope; authorize with Twitch again.', res.status, 'auth');
+            if(!res.ok) throw providerError(`Followed channels request failed (HTTP ${res.status})`, res.status, res.status === 429 ? 'quota' : 'http');
+            const page = await res.json();
+            for(const f of page.data || []){
+                follows.push({ id: f.broadcaster_id, login: f.broadcaster_login, display_name: f.broadcaster_name });
+            }
+            cursor = page.pagination?.cursor || '';
+        } while(cursor);
+        return follows;
+    },
+
+    // Checks the access token; Twitch requires apps to validate tokens on startup and hourly.
+    async validateAuth(settings){
+        const res = await providerFetch('twitch', 'https://id.twitch.tv/oauth2/validate', {
+            headers: { 'Authorization': 'OAuth ' + settings.accessToken }
+        });
+        if(res.status === 401) return { valid: false };
+        if(!res.ok) throw providerError(`Token validation failed (HTTP ${res.status})`, res.status);
+        const data = await res.json();
+        return { valid: true, expiresIn: data.expires_in };
+    },
+
+    // Exchanges the refresh token; background.js stores the returned tokens.
+    async refreshAuth(settings){
+        const { clientId, clientSecret, refreshToken } = settings || {};
+        console.log("[Alarm: Token Refresh] Attempting to refresh Twitch token...");
+        try {
+            const response = await providerFetch('twitch', "https://id.twitch.tv/oauth2/token", {
+                method: "POST",
+                headers: { "Content-Type": "application/x-www-form-urlencoded" },
+                body: new URLSearchParams({
+                    grant_type: "refresh_token",
+                    refresh_token: refreshToken,
+                    client_id: clientId,
+                    client_secret: clientSecret
+                })
+            });
+
+            if (!response.ok) {
+                console.error(`[Twitch] Token refresh failed with status ${response.status}: ${response.statusText}`);
+                return null;
+            }
+
+            const data = await response.json();
+
+            if (data.access_token) {
+                console.log("[Twitch] Access token refreshed successfully.");
+                return {
+                    accessToken: data.access_token,
+                    refreshToken: data.refresh_token || refreshToken,
+                    expiresIn: data.expires_in
+                };
+            } else {
+                console.error("[Twitch] Failed to refresh token:", data);
+                return null;
+            }
+        } catch (err) {
+            console.error("[Twitch] Refresh token error:", err);
+            return null;
+        }
+    }
+};
+
+registerProvider(twitchProvider);
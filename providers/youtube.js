@@ -0,0 +1,372 @@
+// providers/youtube.js
+// YouTube Data API v3 provider. Channel entries look like { id: 'UC...', title }.
+// settings.clientId holds the API key. With Google sign-in (settings.oauthClientId / oauthClientSecret),
+// requests use the OAuth access token instead and subscriptions can be imported.
+//
+// Live detection is quota-efficient: candidate videos come from each channel's free uploads feed
+// (falling back to the uploads playlist, 1 unit), then one videos.list call per 50 candidates
+// (1 unit) confirms which ones are live. The old search?eventType=live cost 100 units per channel.
+// Channel names are resolved by handle or username (1 unit) before falling back to search.
+
+const YOUTUBE_API = 'https://www.googleapis.com/youtube/v3';
+const YOUTUBE_FEED_URL = 'https://www.youtube.com/feeds/videos.xml?channel_id=';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const GOOGLE_TOKENINFO_URL = 'https://oauth2.googleapis.com/tokeninfo';
+const YOUTUBE_CANDIDATES_PER_CHANNEL = 5; // Most recent uploads checked for a live broadcast
+const YOUTUBE_DAILY_QUOTA = 10000; // Default Data API quota per project and day
+const YOUTUBE_CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{20,}$/;
+const YOUTUBE_SEARCH_CANDIDATES = 5; // Channels offered to pick from when only search finds a name
+const YOUTUBE_RESOLVE_CACHE_DAYS = 30; // Handles can change owner, so lookups are redone eventually
+
+// Estimated unit cost of the Data API calls this extension makes
+const YOUTUBE_QUOTA_COST = { videos: 1, playlistItems: 1, channels: 1, subscriptions: 1, search: 100 };
+
+/**
+ * Current quota day. YouTube quotas reset at midnight Pacific Time.
+ * @returns {string} Day in YYYY-MM-DD form.
+ */
+function youtubeQuotaDay(){
+    return new Date().toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+}
+
+// Pending quota update; checks run API calls in parallel, so updates are chained to keep every increment
+let youtubeQuotaWrites = Promise.resolve();
+
+/**
+ * Adds the cost of Data API calls to today's estimate in browser.storage.local.streamtime_youtube_quota.
+ * @param {string} endpoint - Key of YOUTUBE_QUOTA_COST.
+ * @param {number} [calls=1] - Number of calls made.
+ */
+function recordYouTubeQuota(endpoint, calls = 1){
+    const write = youtubeQuotaWrites.then(() => addYouTubeQuota(endpoint, calls));
+    youtubeQuotaWrites = write.catch(() => {});
+    return write;
+}
+
+async function addYouTubeQuota(endpoint, calls){
+    const day = youtubeQuotaDay();
+    const stored = (await browser.storage.local.get('streamtime_youtube_quota')).streamtime_youtube_quota;
+    const quota = stored && stored.day === day ? stored : { day, units: 0, calls: {} };
+    quota.units += YOUTUBE_QUOTA_COST[endpoint] * calls;
+    quota.calls[endpoint] = (quota.calls[endpoint] || 0) + calls;
+    quota.limit = YOUTUBE_DAILY_QUOTA;
+    await browser.storage.local.set({ streamtime_youtube_quota: quota });
+}
+
+/**
+ * Input -> resolution cache in browser.storage.local.streamtime_youtube_resolved, keyed by the
+ * lowercased input: { channel, at }. Expired entries are dropped on read.
+ */
+async function readYouTubeResolveCache(){
+    const stored = (await browser.storage.local.get('streamtime_youtube_resolved')).streamtime_youtube_resolved || {};
+    const oldest = Date.now() - YOUTUBE_RESOLVE_CACHE_DAYS*24*60*60*1000;
+    const cache = {};
+    for(const [input, entry] of Object.entries(stored)){
+        if(new Date(entry.at).getTime() > oldest) cache[input] = entry;
+    }
+    return cache;
+}
+
+const youtubeProvider = {
+    id: 'youtube',
+    label: 'YouTube',
+    tokenCookie: { url: 'https://www.googleapis.com/', name: 'youtube_access_token' },
+    inputField: 'query',
+
+    channelKey(channel){
+        if(typeof channel === 'string') return channel;
+        return String(channel.id || channel.channelId || '');
+    },
+
+    channelUrl(channel){
+        return 'https://www.youtube.com/channel/' + this.channelKey(channel);
+    },
+
+    channelName(channel){
+        return channel.title || channel.query || this.channelKey(channel);
+    },
+
+    channelAvatar(channel){
+        return channel.thumbnail || '';
+    },
+
+    channelHosts: ['youtube.com', 'music.youtube.com'],
+
+    // /@handle, /channel/UC..., /c/<name> and /user/<name>; video and playlist links name no channel
+    parseChannelUrl(url){
+        const [first, second] = url.pathname.split('/').slice(1).map(decodeURIComponent);
+        if(first?.startsWith('@') && first.length > 1) return first;
+        if(first === 'channel' && YOUTUBE_CHANNEL_ID_PATTERN.test(second || '')) return second;
+        if((first === 'c' || first === 'user') && second) return second;
+        return null;
+    },
+
+    // channel IDs are case-sensitive, so only paths copied without the host are rewritten
+    normalizeChannelInput(text){
+        return text.startsWith('/') ? this.parseChannelUrl(new URL(text, 'https://www.youtube.com')) : text;
+    },
+
+    async check(settings, ctx = {}){
+        if(!settings || !settings.channels || !(settings.clientId || settings.accessToken)) return [];
+        const channels = new Map(settings.channels.map(ch => [this.channelKey(ch), ch]).filter(([id]) => id));
+        if(!channels.size) return [];
+
+        // 1. Collect candidate video IDs per channel (free feed first, uploads playlist as fallback)
+        const lookups = await runBatches(Array.from(channels.keys()), 1, async ([channelId]) =>
+            (await this.recentVideoIds(channelId, settings)).map(videoId => [videoId, channelId]));
+        // only a platform-wide failure is an error; one broken channel should not hide the others
+        if(lookups.failedKeys.length === channels.size) throw lookups.error;
+        const candidates = new Map(lookups.results); // videoId -> channel ID
+
+        // 2. Confirm live status with batched videos.list calls
+        const confirmed = await runBatches(Array.from(candidates.keys()), 50, async (batch) => {
+            let videos;
+            try{
+                videos = await this.fetchVideos(batch, settings);
+            }catch(e){
+                // lazy refresh: an expired OAuth token is refreshed once, then the batch is retried
+                if(e.kind !== 'auth' || !ctx.refreshAuth) throw e;
+                const newToken = await ctx.refreshAuth();
+                if(!newToken) throw e;
+                settings.accessToken = newToken;
+                videos = await this.fetchVideos(batch, settings);
+            }
+            const out = [];
+            for(const v of videos){
+                const details = v.liveStreamingDetails;
+                if(!details || !details.actualStartTime || details.actualEndTime) continue;
+                const ch = channels.get(candidates.get(v.id));
+                out.push(makeStreamRecord({
+                    platform: 'youtube',
+                    channelKey: v.snippet.channelId || this.channelKey(ch),
+                    displayName: v.snippet.channelTitle || ch?.title,
+                    title: v.snippet.title,
+                    viewers: details.concurrentViewers,
+                    startedAt: details.actualStartTime,
+                    url: 'https://www.youtube.com/watch?v=' + v.id,
+                    thumbnail: v.snippet.thumbnails?.medium?.url
+                }));
+            }
+            return out;
+        });
+        if(candidates.size && confirmed.failedKeys.length === candidates.size) throw confirmed.error;
+
+        const failedChannels = new Set([...lookups.failedKeys, ...confirmed.failedKeys.map(videoId => candidates.get(videoId))]);
+        if(failedChannels.size) throw partialCheckError(confirmed.results, Array.from(failedChannels), confirmed.error || lookups.error);
+        return confirmed.results;
+    },
+
+    // Scheduled live streams and premieres among each channel's recent uploads (feed, then 1 unit per 50 videos)
+    async fetchSchedule(settings){
+        if(!settings || !settings.channels || !(settings.clientId || settings.accessToken)) return [];
+        const channelIds = settings.channels.map(ch => this.channelKey(ch)).filter(Boolean);
+        const { results: ids } = await runBatches(channelIds, 1, ([channelId]) => this.recentVideoIds(channelId, settings));
+        const upcoming = await runBatches(ids, 50, async (batch) => {
+            const out = [];
+            for(const v of await this.fetchVideos(batch, settings)){
+                const details = v.liveStreamingDetails;
+                if(v.snippet.liveBroadcastContent !== 'upcoming' || !details?.scheduledStartTime) continue;
+                out.push(makeScheduledStream({
+                    platform: 'youtube',
+                    channelKey: v.snippet.channelId,
+                    id: v.id,
+                    displayName: v.snippet.channelTitle,
+                    title: v.snippet.title,
+                    startAt: details.scheduledStartTime,
+                    url: 'https://www.youtube.com/watch?v=' + v.id
+                }));
+            }
+            return out;
+        });
+        if(ids.length && upcoming.failedKeys.length === ids.length) throw upcoming.error;
+        return upcoming.results;
+    },
+
+    /**
+     * Most recent upload IDs of a channel. Reads the public uploads feed (no quota) and falls back
+     * to the channel's uploads playlist ("UC..." -> "UU...", 1 unit) when the feed is unavailable.
+     * @returns {Promise<string[]>} Up to YOUTUBE_CANDIDATES_PER_CHANNEL video IDs.
+     */
+    async recentVideoIds(channelId, settings){
+        try{
+            const r = await providerFetch('youtube', YOUTUBE_FEED_URL + encodeURIComponent(channelId));
+            if(r.ok){
+                const xml = new DOMParser().parseFromString(await r.text(), 'application/xml');
+                return Array.from(xml.getElementsByTagName('yt:videoId'))
+                    .map(n => n.textContent.trim())
+                    .slice(0, YOUTUBE_CANDIDATES_PER_CHANNEL);
+            }
+            console.warn('YouTube feed failed', r.status);
+        }catch(e){
+            console.warn('YouTube feed error', e);
+        }
+
+        const playlistId = 'UU' + channelId.slice(2);
+        const r = await this.apiFetch('playlistItems', { part: 'contentDetails', maxResults: YOUTUBE_CANDIDATES_PER_CHANNEL, playlistId }, settings);
+        if(!r.ok){
+            console.warn('YouTube uploads playlist failed', r.status);
+            throw await this.apiError(r, 'Uploads playlist request failed');
+        }
+        const j = await r.json();
+        return (j.items || []).map(item => item.contentDetails.videoId);
+    },
+
+    /**
+     * Fetches snippet and liveStreamingDetails for up to 50 videos in one call (1 unit).
+     */
+    async fetchVideos(videoIds, settings){
+        const r = await this.apiFetch('videos', { part: 'snippet,liveStreamingDetails', id: videoIds.join(',') }, settings);
+        if(!r.ok){
+            console.warn('YouTube videos lookup failed', r.status);
+            throw await this.apiError(r, 'Videos request failed');
+        }
+        const j = await r.json();
+        return j.items || [];
+    },
+
+    /**
+     * Data API request authorized with the OAuth access token when signed in, otherwise the API key.
+     * Records the call's quota cost.
+     * @param {string} endpoint - Data API resource, also the key of YOUTUBE_QUOTA_COST.
+     * @param {object} params - Query parameters.
+     */
+    async apiFetch(endpoint, params, settings){
+        const query = new URLSearchParams(params);
+        const headers = {};
+        if(settings.accessToken) headers.Authorization = 'Bearer ' + settings.accessToken;
+        else query.set('key', settings.clientId || '');
+        const r = await providerFetch('youtube', `${YOUTUBE_API}/${endpoint}?${query}`, { headers });
+        await recordYouTubeQuota(endpoint);
+        return r;
+    },
+
+    // Data API errors carry a reason; quotaExceeded and rateLimitExceeded come back as 403
+    async apiError(res, message){
+        let reason = '';
+        try{
+            reason = (await res.json()).error?.errors?.[0]?.reason || '';
+        }catch(e){}
+        const kind = /quota|rateLimit/i.test(reason) || res.status === 429 ? 'quota'
+            : res.status === 401 ? 'auth' : 'http';
+        return providerError(`${message} (HTTP ${res.status}${reason ? ', ' + reason : ''})`, res.status, kind);
+    },
+
+    // Convert IDs, @handles, legacy usernames and names to channel entries. @handles go to
+    // channels?forHandle and names to forUsername, then forHandle (1 unit each); only names neither
+    // lookup knows fall back to search (100 units), which leaves { query, id: null, candidates } for
+    // the user to pick from. Results are cached (see readYouTubeResolveCache).
+    async resolveChannels(list, settings){
+        if(!list.length) return [];
+        settings = settings || {};
+        const cache = await readYouTubeResolveCache();
+        const results = [];
+        for(const token of list){
+            // If it already looks like a channel ID (starts with UC), keep it
+            if(YOUTUBE_CHANNEL_ID_PATTERN.test(token)){
+                results.push({ id: token });
+                continue;
+            }
+            const cached = cache[token.toLowerCase()];
+            if(cached){
+                results.push(cached.channel);
+                continue;
+            }
+            const channel = await this.lookupChannel(token, settings);
+            await this.rememberResolution(token, channel);
+            results.push(channel);
+        }
+        return results;
+    },
+
+    async lookupChannel(token, settings){
+        // handles and usernames have no spaces, so a name with spaces can only be searched for
+        const lookups = /\s/.test(token) ? []
+            : token.startsWith('@') ? [{ forHandle: token }] : [{ forUsername: token }, { forHandle: '@' + token }];
+        for(const lookup of lookups){
+            const r = await this.apiFetch('channels', Object.assign({ part: 'snippet' }, lookup), settings);
+            if(!r.ok) throw await this.apiError(r, 'Channel lookup failed');
+            const item = ((await r.json()).items || [])[0];
+            if(item) return this.channelEntry(item.id, item.snippet);
+        }
+        const r = await this.apiFetch('search', { part: 'snippet', type: 'channel', q: token.replace(/^@/, ''), maxResults: YOUTUBE_SEARCH_CANDIDATES }, settings);
+        if(!r.ok) throw await this.apiError(r, 'Channel search failed');
+        const candidates = ((await r.json()).items || []).map(item => this.channelEntry(item.snippet.channelId, item.snippet));
+        return { query: token, id: null, candidates };
+    },
+
+    channelEntry(id, snippet){
+        return { id, title: snippet.title || snippet.channelTitle, thumbnail: snippet.thumbnails?.default?.url };
+    },
+
+    /**
+     * Caches what an input resolved to, including search candidates and the one the user picked.
+     * @param {string} input - Text given to resolveChannels().
+     * @param {object} channel - Channel entry, or { query, id: null, candidates }.
+     */
+    async rememberResolution(input, channel){
+        const cache = await readYouTubeResolveCache();
+        cache[input.toLowerCase()] = { channel, at: new Date().toISOString() };
+        await browser.storage.local.set({ streamtime_youtube_resolved: cache });
+    },
+
+    // Channels the signed-in account subscribes to (1 unit per page of 50)
+    async importFollows(settings){
+        if(!settings?.accessToken) throw new Error('Sign in with Google to import subscriptions.');
+        const follows = [];
+        let pageToken = '';
+        do {
+            const params = { part: 'snippet', mine: 'true', maxResults: 50 };
+            if(pageToken) params.pageToken = pageToken;
+            const r = await this.apiFetch('subscriptions', params, settings);
+            if(!r.ok) throw await this.apiError(r, 'Subscriptions request failed');
+            const page = await r.json();
+            for(const item of page.items || []){
+                follows.push({ id: item.snippet.resourceId.channelId, title: item.snippet.title, thumbnail: item.snippet.thumbnails?.default?.url });
+            }
+            pageToken = page.nextPageToken || '';
+        } while(pageToken);
+        return follows;
+    },
+
+    async validateAuth(settings){
+        const res = await providerFetch('youtube', GOOGLE_TOKENINFO_URL + '?access_token=' + encodeURIComponent(settings.accessToken));
+        if(res.status === 400 || res.status === 401) return { valid: false };
+        if(!res.ok) throw providerError(`Token validation failed (HTTP ${res.status})`, res.status);
+        const data = await res.json();
+        return { valid: true, expiresIn: Number(data.expires_in) };
+    },
+
+    // Google keeps the refresh token; only a new access token comes back
+    async refreshAuth(settings){
+        const { oauthClientId, oauthClientSecret, refreshToken } = settings || {};
+        if(!oauthClientId) return null;
+        try {
+            const response = await providerFetch('youtube', GOOGLE_TOKEN_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({
+                    grant_type: 'refresh_token',
+                    refresh_token: refreshToken,
+                    client_id: oauthClientId,
+                    client_secret: oauthClientSecret || ''
+                })
+            });
+            if(!response.ok){
+                console.error(`[YouTube] Token refresh failed with status ${response.status}`);
+                return null;
+            }
+            const data = await response.json();
+            if(!data.access_token) return null;
+            return {
+                accessToken: data.access_token,
+                refreshToken: data.refresh_token || refreshToken,
+                expiresIn: data.expires_in
+            };
+        } catch (err) {
+            console.error('[YouTube] Refresh token error:', err);
+            return null;
+        }
+    }
+};
+
+registerProvider(youtubeProvider);
@@ -0,0 +1,68 @@
+// quiet-hours.js
+// Do-not-disturb rules, shared by background.js, popup.js and options.js.
+// streamtime.quiet:
+//   schedules         [{ days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM' }]; an end before the
+//                     start runs past midnight, equal times cover the whole day
+//   exceptFavourites  favourite channels still notify (default on)
+//   exceptGroups      ids of groups whose channels still notify
+// Single channels are muted until the end of the day through mutedUntil on their channel entry.
+// "Snooze all" is kept apart in browser.storage.local.streamtime_snooze_until (ISO time), since it
+// is a passing state rather than a setting.
+
+const QUIET_DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function minutesOfDay(time){
+    const [h, m] = String(time || '').split(':').map(Number);
+    return (h || 0) * 60 + (m || 0);
+}
+
+/**
+ * End of the quiet-hours schedule active at a given time.
+ * @param {object} [quiet] - streamtime.quiet.
+ * @param {Date} [date] - Defaults to now.
+ * @returns {Date|null} When the active schedule ends, or null outside quiet hours.
+ */
+function quietHoursEnd(quiet, date = new Date()){
+    const now = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    let end = null;
+    for (const schedule of quiet?.schedules || []) {
+        const days = schedule.days || [];
+        const start = minutesOfDay(schedule.start);
+        const stop = minutesOfDay(schedule.end);
+        let endsInDays = null;
+        if (start < stop) {
+            if (days.includes(day) && now >= start && now < stop) endsInDays = 0;
+        } else if (days.includes(day) && now >= start) {
+            endsInDays = 1;
+        } else if (days.includes((day + 6) % 7) && now < stop) {
+            endsInDays = 0;
+        }
+        if (endsInDays === null) continue;
+        const candidate = new Date(date);
+        candidate.setDate(candidate.getDate() + endsInDays);
+        candidate.setHours(Math.floor(stop / 60), stop % 60, 0, 0);
+        if (!end || candidate > end) end = candidate;
+    }
+    return end;
+}
+
+/**
+ * @param {string} [snoozeUntil] - streamtime_snooze_until.
+ */
+function isQuietTime(quiet, snoozeUntil, date = new Date()){
+    return !!quietHoursEnd(quiet, date) || (!!snoozeUntil && new Date(snoozeUntil) > date);
+}
+
+// Local midnight ending today, the mutedUntil of "Mute for today"
+function endOfToday(){
+    const d = new Date();
+    d.setHours(24, 0, 0, 0);
+    return d.toISOString();
+}
+
+// Favourites (unless turned off) and channels of the excepted groups notify during quiet hours
+function breaksThroughQuiet(quiet, entry){
+    if (entry?.favourite && quiet?.exceptFavourites !== false) return true;
+    return isInAnyGroup(entry, quiet?.exceptGroups || []);
+}
@@ -0,0 +1,88 @@
+// secret-box.js
+// Passphrase encryption with WebCrypto: AES-GCM with a key derived by PBKDF2 (SHA-256).
+// Used for the secrets in settings backups (settings-backup.js) and the credential vault (vault.js).
+// A sealed box is plain JSON:
+//   { alg: 'AES-GCM', kdf: 'PBKDF2-SHA256', iterations, salt, iv, data }
+// with salt, iv and data base64 encoded.
+
+const SECRET_BOX_ITERATIONS = 310000; // OWASP recommendation for PBKDF2-HMAC-SHA256
+
+function bytesToBase64(bytes){
+    let binary = '';
+    for (const b of bytes) binary += String.fromCharCode(b);
+    return btoa(binary);
+}
+
+function base64ToBytes(text){
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Derives the AES-GCM key for a passphrase.
+ * @param {string} passphrase
+ * @param {Uint8Array} salt - 16 random bytes, stored next to the ciphertext.
+ * @param {number} [iterations]
+ * @returns {Promise<CryptoKey>} Non-extractable key for encrypt/decrypt.
+ */
+async function deriveSecretKey(passphrase, salt, iterations = SECRET_BOX_ITERATIONS){
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypts any JSON-serializable value with a key from deriveSecretKey().
+ * @param {object} kdf - { salt, iterations } the key was derived with; kept in the box.
+ */
+async function sealWithKey(key, value, kdf){
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return {
+        alg: 'AES-GCM',
+        kdf: 'PBKDF2-SHA256',
+        iterations: kdf.iterations,
+        salt: bytesToBase64(kdf.salt),
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(new Uint8Array(data))
+    };
+}
+
+/**
+ * Decrypts a box sealed with the same key. AES-GCM authenticates the data, so a wrong key
+ * or a modified box is rejected rather than returning garbage.
+ */
+async function openWithKey(key, box){
+    try {
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(box.iv) }, key, base64ToBytes(box.data));
+        return JSON.parse(new TextDecoder().decode(plain));
+    } catch (e) {
+        throw new Error('Wrong passphrase or damaged data.');
+    }
+}
+
+/**
+ * Encrypts a value with a passphrase (fresh salt and IV every time).
+ * @returns {Promise<object>} The sealed box.
+ */
+async function sealSecrets(value, passphrase){
+    const kdf = { salt: crypto.getRandomValues(new Uint8Array(16)), iterations: SECRET_BOX_ITERATIONS };
+    const key = await deriveSecretKey(passphrase, kdf.salt, kdf.iterations);
+    return sealWithKey(key, value, kdf);
+}
+
+/**
+ * Decrypts a box made by sealSecrets().
+ * @throws {Error} When the passphrase is wrong or the box is malformed.
+ */
+async function openSecrets(box, passphrase){
+    if (!box || box.alg !== 'AES-GCM' || box.kdf !== 'PBKDF2-SHA256' || !box.salt || !box.iv || !box.data) {
+        throw new Error('Unsupported or damaged encrypted data.');
+    }
+    const key = await deriveSecretKey(passphrase, base64ToBytes(box.salt), Number(box.iterations) || SECRET_BOX_ITERATIONS);
+    return openWithKey(key, box);
+}
@@ -0,0 +1,253 @@
+// settings-backup.js
+// Export and import of the whole configuration (browser.storage.local.streamtime) for the options page.
+// An export file looks like:
+//   { format: 'streamtime-settings', version, exportedAt, settings, secrets }
+// settings is streamtime without client secrets and tokens; secrets is null or a box sealed with the
+// user's passphrase (secret-box.js) holding { <platform>: { clientSecret, refreshToken, accessToken, ... } }.
+// Access tokens live in cookies, so writing them back uses setAccessTokenCookie() from options.js;
+// with the vault enabled (vault.js) secrets are read from and written to the background page instead.
+
+const SETTINGS_EXPORT_FORMAT = 'streamtime-settings';
+const SETTINGS_EXPORT_VERSION = 1;
+const SECRET_SETTING_FIELDS = [...PROVIDER_SECRET_FIELDS, 'tokenExpiresAt'];
+
+function isPlainObject(value){
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+const isBoolean = (value) => typeof value === 'boolean';
+const isPositiveNumber = (value) => typeof value === 'number' && value > 0;
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+// 'HH:MM' as given by the time inputs; empty when a time was cleared
+const isClockTime = (value) => typeof value === 'string' && /^(\d{1,2}:\d{2}(:\d{2})?)?$/.test(value);
+
+function isQuietSchedule(schedule){
+    return isPlainObject(schedule) && isClockTime(schedule.start) && isClockTime(schedule.end)
+        && Array.isArray(schedule.days) && schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+}
+
+// Non-platform sections of streamtime that an import may carry, with the expected shape of each of
+// their fields ('*': any other field). Fields of another shape would break the pages reading them.
+const SETTINGS_FIELD_CHECKS = {
+    notifications: { scope: value => value === 'all' || value === 'favourites', groups: isStringList },
+    events: {
+        viewerThresholds: value => Array.isArray(value) && value.every(isPositiveNumber),
+        reminderMinutes: isPositiveNumber,
+        '*': (value, field) => field in STREAM_EVENT_TYPES && isBoolean(value)
+    },
+    badge: { platforms: isStringList },
+    history: { retentionDays: isPositiveNumber, maxSessions: isPositiveNumber },
+    groups: { '*': group => isPlainObject(group) && typeof group.name === 'string' },
+    popup: { showOffline: isBoolean },
+    quiet: {
+        schedules: value => Array.isArray(value) && value.every(isQuietSchedule),
+        exceptFavourites: isBoolean,
+        exceptGroups: isStringList
+    },
+    polling: {
+        '*': (value, field) => !!getProvider(field) && isPlainObject(value)
+            && [value.minutes, value.favouriteMinutes].every(minutes => minutes === undefined || isPositiveNumber(minutes))
+    }
+};
+const SETTINGS_SECTIONS = Object.keys(SETTINGS_FIELD_CHECKS);
+
+// Copy of a non-platform section without the fields that fail their check
+function checkSettingsSection(key, value, warnings){
+    const checks = SETTINGS_FIELD_CHECKS[key];
+    const section = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+        const check = checks[field] || checks['*'];
+        if (check && check(fieldValue, field)) section[field] = fieldValue;
+        else warnings.push(`Skipped "${key}.${field}": ${check ? 'not in the expected format' : 'unknown setting'}.`);
+    }
+    return section;
+}
+
+function withoutSecrets(section){
+    const out = Object.assign({}, section);
+    for (const field of SECRET_SETTING_FIELDS) delete out[field];
+    return out;
+}
+
+// Secrets of every platform, with access tokens read from their cookies (or all of them from the vault)
+async function readStoredSecrets(settings){
+    const vault = await browser.runtime.sendMessage({ action: 'vault_secrets' });
+    if (vault?.enabled && !vault.unlocked) throw new Error('Unlock the vault to export secrets.');
+    const secrets = {};
+    for (const provider of listProviders()) {
+        const section = Object.assign({}, settings[provider.id], vault?.secrets?.[provider.id]);
+        const found = {};
+        for (const field of SECRET_SETTING_FIELDS) if (section[field]) found[field] = section[field];
+        if (provider.tokenCookie && !vault?.enabled) {
+            const token = await getAccessTokenCookie(provider.tokenCookie.url, provider.tokenCookie.name);
+            if (token) found.accessToken = token;
+        }
+        if (Object.keys(found).length) secrets[provider.id] = found;
+    }
+    return secrets;
+}
+
+/**
+ * Builds the export file contents.
+ * @param {string} [passphrase] - When given, secrets are included, encrypted with it.
+ * @returns {Promise<object>} JSON-serializable export.
+ */
+async function buildSettingsExport(passphrase){
+    const settings = (await browser.storage.local.get('streamtime')).streamtime || {};
+    const exported = {};
+    for (const [key, value] of Object.entries(settings)) {
+        exported[key] = getProvider(key) ? withoutSecrets(value) : value;
+    }
+    return {
+        format: SETTINGS_EXPORT_FORMAT,
+        version: SETTINGS_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: exported,
+        secrets: passphrase ? await sealSecrets(await readStoredSecrets(settings), passphrase) : null
+    };
+}
+
+/**
+ * Validates an export file. Unknown sections, malformed fields of the general sections and malformed
+ * channel entries are dropped with a warning; anything that makes the file unusable throws.
+ * @param {string} text - File contents.
+ * @returns {{settings: object, secrets: object|null, exportedAt: string, warnings: string[]}}
+ */
+function parseSettingsExport(text){
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!isPlainObject(data) || data.format !== SETTINGS_EXPORT_FORMAT) throw new Error('The file is not a StreamTime settings export.');
+    if (!Number.isInteger(data.version) || data.version < 1) throw new Error('The export has no valid version.');
+    if (data.version > SETTINGS_EXPORT_VERSION) throw new Error(`The export was made by a newer version (format ${data.version}); update the add-on first.`);
+    if (!isPlainObject(data.settings)) throw new Error('The export contains no settings.');
+    if (data.secrets !== null && data.secrets !== undefined && !isPlainObject(data.secrets)) throw new Error('The encrypted secrets are damaged.');
+
+    const settings = {};
+    const warnings = [];
+    for (const [key, value] of Object.entries(data.settings)) {
+        const provider = getProvider(key);
+        if (!provider && !SETTINGS_SECTIONS.includes(key)) {
+            warnings.push(`Skipped unknown section "${key}".`);
+            continue;
+        }
+        if (!isPlainObject(value)) {
+            warnings.push(`Skipped "${key}": not an object.`);
+            continue;
+        }
+        if (!provider) {
+            settings[key] = checkSettingsSection(key, value, warnings);
+            continue;
+        }
+        if (value.channels !== undefined && !Array.isArray(value.channels)) {
+            warnings.push(`Skipped ${provider.label}: its channel list is not a list.`);
+            continue;
+        }
+        // plaintext secrets are never taken from a file; they only come in encrypted
+        const section = withoutSecrets(value);
+        if (value.channels) {
+            section.channels = value.channels.filter(c => isPlainObject(c) && provider.channelKey(c));
+            const dropped = value.channels.length - section.channels.length;
+            if (dropped) warnings.push(`Skipped ${dropped} ${provider.label} channel entries without an ID.`);
+        }
+        settings[key] = section;
+    }
+    return { settings, secrets: data.secrets || null, exportedAt: data.exportedAt || '', warnings };
+}
+
+/**
+ * Combines current and imported settings.
+ * merge: imported values win, channel lists are united by channel key (imported preferences win).
+ * replace: the imported settings become the configuration; secrets are kept because the file only
+ * has them when encrypted, and replacing should not sign you out of every platform.
+ */
+function mergeImportedSettings(current, incoming, mode){
+    current = current || {};
+    if (mode === 'replace') {
+        const out = structuredClone(incoming);
+        for (const provider of listProviders()) {
+            const kept = {};
+            for (const field of SECRET_SETTING_FIELDS) if (current[provider.id]?.[field]) kept[field] = current[provider.id][field];
+            if (Object.keys(kept).length) out[provider.id] = Object.assign(out[provider.id] || {}, kept);
+        }
+        return out;
+    }
+
+    const out = structuredClone(current);
+    for (const [key, value] of Object.entries(incoming)) {
+        const provider = getProvider(key);
+        const merged = Object.assign({}, out[key], value);
+        if (provider) {
+            const channels = new Map((out[key]?.channels || []).map(c => [provider.channelKey(c), c]));
+            for (const c of value.channels || []) {
+                const channelKey = provider.channelKey(c);
+                channels.set(channelKey, Object.assign({}, channels.get(channelKey), c));
+            }
+            merged.channels = Array.from(channels.values());
+        }
+        out[key] = merged;
+    }
+    return out;
+}
+
+/**
+ * Human readable summary of what an import would change.
+ * @returns {string[]} One line per changed platform or section.
+ */
+function describeSettingsChanges(current, next){
+    current = current || {};
+    const lines = [];
+    for (const provider of listProviders()) {
+        const before = new Set((current[provider.id]?.channels || []).map(c => provider.channelKey(c)));
+        const after = new Set((next[provider.id]?.channels || []).map(c => provider.channelKey(c)));
+        const added = [...after].filter(k => !before.has(k)).length;
+        const removed = [...before].filter(k => !after.has(k)).length;
+        if (added || removed) lines.push(`${provider.label}: ${after.size} channels (${added} added, ${removed} removed)`);
+
+        const account = (s) => JSON.stringify(withoutSecrets(Object.assign({}, s, { channels: undefined })));
+        if (account(current[provider.id]) !== account(next[provider.id])) lines.push(`${provider.label}: account and platform settings change`);
+    }
+    for (const key of SETTINGS_SECTIONS) {
+        if (JSON.stringify(current[key]) !== JSON.stringify(next[key])) lines.push(`General: "${key}" settings change`);
+    }
+    return lines;
+}
+
+/**
+ * Writes an import. Secrets are decrypted first, so a wrong passphrase changes nothing.
+ * @param {object} parsed - Output of parseSettingsExport().
+ * @param {'merge'|'replace'} mode
+ * @param {string} [passphrase] - Needed to import the encrypted secrets; without it they are skipped.
+ * @returns {Promise<string[]>} Platforms whose credentials were imported.
+ */
+async function applySettingsImport(parsed, mode, passphrase){
+    const secrets = parsed.secrets && passphrase ? await openSecrets(parsed.secrets, passphrase) : {};
+    const vault = await browser.runtime.sendMessage({ action: 'vault_status' });
+    if (vault?.enabled && !vault.unlocked && Object.keys(secrets).length) throw new Error('Unlock the vault to import secrets.');
+    const current = (await browser.storage.local.get('streamtime')).streamtime || {};
+    const next = mergeImportedSettings(current, parsed.settings, mode);
+
+    const updated = [];
+    for (const [platform, values] of Object.entries(secrets)) {
+        const provider = getProvider(platform);
+        if (!provider || !isPlainObject(values)) continue;
+        const { accessToken, tokenExpiresAt, ...stored } = values;
+        next[platform] = Object.assign(next[platform] || {}, tokenExpiresAt ? { tokenExpiresAt } : {});
+        if (vault?.enabled) {
+            await browser.runtime.sendMessage({ action: 'vault_store', platform, secrets: values });
+            updated.push(platform);
+            continue;
+        }
+        Object.assign(next[platform], stored);
+        if (accessToken && provider.tokenCookie) {
+            const expiresIn = tokenExpiresAt ? Math.floor((new Date(tokenExpiresAt).getTime() - Date.now())/1000) : 0;
+            await setAccessTokenCookie(provider.tokenCookie.url, provider.tokenCookie.name, accessToken, expiresIn > 0 ? expiresIn : undefined);
+        }
+        updated.push(platform);
+    }
+    await browser.storage.local.set({ streamtime: next });
+    return updated;
+}
@@ -0,0 +1,163 @@
+// stream-events.js
+// Typed change events between consecutive polls, shared by background.js (producer),
+// popup.js and options.js. Events look like:
+//   { type, platform, channelKey, displayName, url, at, ...details }
+// with details per type:
+//   went_live                  title, stream (the normalized stream record, not kept in storage)
+//   went_offline               durationMs (final duration of the session)
+//   title_changed              from, to
+//   category_changed           from, to
+//   viewer_threshold_crossed   threshold, viewers
+//   starting_soon              title, startAt (a scheduled stream starts within the reminder lead time)
+// Consumers in the background page subscribe with onStreamEvent(); other pages read the
+// recent events kept in browser.storage.local.streamtime_events or listen for the
+// { action: 'stream_event' } runtime message.
+
+const STREAM_EVENT_TYPES = {
+    went_live: { label: 'Went live', defaultEnabled: true },
+    went_offline: { label: 'Went offline', defaultEnabled: false },
+    title_changed: { label: 'Title changed', defaultEnabled: false },
+    category_changed: { label: 'Category changed', defaultEnabled: false },
+    viewer_threshold_crossed: { label: 'Viewer milestone reached', defaultEnabled: false },
+    starting_soon: { label: 'Scheduled stream starting soon', defaultEnabled: false }
+};
+const DEFAULT_VIEWER_THRESHOLDS = [100, 1000, 10000];
+const DEFAULT_REMINDER_MINUTES = 10;
+const RECENT_EVENTS_LIMIT = 50;
+
+const streamEventHandlers = new Map();
+
+/**
+ * @param {string} type - Key of STREAM_EVENT_TYPES.
+ * @param {object} [config] - streamtime.events ({ <type>: boolean, viewerThresholds: number[] }).
+ */
+function isStreamEventEnabled(type, config){
+    const value = config ? config[type] : undefined;
+    return value === undefined ? STREAM_EVENT_TYPES[type].defaultEnabled : !!value;
+}
+
+function viewerThresholds(config){
+    const list = config?.viewerThresholds;
+    return Array.isArray(list) && list.length ? list : DEFAULT_VIEWER_THRESHOLDS;
+}
+
+// Lead time of starting_soon reminders
+function reminderMinutes(config){
+    const minutes = Number(config?.reminderMinutes);
+    return minutes > 0 ? minutes : DEFAULT_REMINDER_MINUTES;
+}
+
+function formatEventDuration(ms){
+    const m = Math.floor(ms/60000);
+    const h = Math.floor(m/60);
+    if(h>0) return `${h}h ${m%60}m`;
+    return `${m}m`;
+}
+
+/**
+ * Human readable title and message for an event (used for notifications and the popup).
+ * @returns {{title: string, message: string}}
+ */
+function describeStreamEvent(event){
+    const platform = getProvider(event.platform)?.label || event.platform;
+    switch(event.type){
+        case 'went_live':
+            return { title: `${event.displayName} is live on ${platform}!`, message: event.title || '' };
+        case 'went_offline':
+            return { title: `${event.displayName} went offline`, message: `Streamed for ${formatEventDuration(event.durationMs || 0)} on ${platform}.` };
+        case 'title_changed':
+            return { title: `${event.displayName} changed the title`, message: event.to };
+        case 'category_changed':
+            return { title: `${event.displayName} switched category`, message: `${event.from || 'None'} → ${event.to || 'None'}` };
+        case 'viewer_threshold_crossed':
+            return { title: `${event.displayName} passed ${event.threshold.toLocaleString()} viewers`, message: `${event.viewers.toLocaleString()} watching on ${platform}.` };
+        case 'starting_soon': {
+            const time = new Date(event.startAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            return { title: `${event.displayName} goes live at ${time} on ${platform}`, message: event.title || 'Scheduled stream' };
+        }
+        default:
+            return { title: event.displayName, message: event.type };
+    }
+}
+
+/**
+ * Compares two consecutive poll results and returns the enabled events.
+ * @param {object} previous - Previous streamtime_live (records keyed by platform).
+ * @param {object} current - Current poll result, same shape.
+ * @param {{started: object[], ended: object[]}} changes - Go-lives and ended sessions from the session tracker.
+ * @param {object} [config] - streamtime.events.
+ * @returns {object[]} Events in detection order.
+ */
+function diffStreamEvents(previous, current, changes, config){
+    const at = new Date().toISOString();
+    const events = [];
+    const base = (s) => ({ platform: s.platform, channelKey: s.channelKey, displayName: s.displayName, url: s.url, at });
+    const key = (s) => `${s.platform}:${s.channelKey}`;
+    const startedKeys = new Set(changes.started.map(key));
+    const before = new Map(Object.values(previous || {}).flat().map(s => [key(s), s]));
+
+    if (isStreamEventEnabled('went_live', config)) {
+        for (const stream of changes.started) events.push({ type: 'went_live', ...base(stream), title: stream.title, stream });
+    }
+
+    if (isStreamEventEnabled('went_offline', config)) {
+        for (const session of changes.ended) {
+            const durationMs = Math.max(0, new Date(session.lastSeen).getTime() - new Date(session.startedAt).getTime());
+            events.push({ type: 'went_offline', ...base(session), durationMs });
+        }
+    }
+
+    for (const stream of Object.values(current).flat()) {
+        const prev = before.get(key(stream));
+        // changes only count within one session; a fresh go-live is reported as went_live
+        if (!prev || startedKeys.has(key(stream))) continue;
+
+        if (isStreamEventEnabled('title_changed', config) && stream.title && prev.title !== stream.title) {
+            events.push({ type: 'title_changed', ...base(stream), from: prev.title, to: stream.title });
+        }
+        if (isStreamEventEnabled('category_changed', config) && stream.category && prev.category !== stream.category) {
+            events.push({ type: 'category_changed', ...base(stream), from: prev.category, to: stream.category });
+        }
+        if (isStreamEventEnabled('viewer_threshold_crossed', config)) {
+            const crossed = viewerThresholds(config).filter(t => prev.viewers < t && stream.viewers >= t);
+            if (crossed.length) {
+                events.push({ type: 'viewer_threshold_crossed', ...base(stream), threshold: Math.max(...crossed), viewers: stream.viewers });
+            }
+        }
+    }
+    return events;
+}
+
+/**
+ * Subscribes to one event type ('*' for all). Handlers receive (event, settings).
+ */
+function onStreamEvent(type, handler){
+    if (!streamEventHandlers.has(type)) streamEventHandlers.set(type, []);
+    streamEventHandlers.get(type).push(handler);
+}
+
+/**
+ * Delivers events to subscribers, keeps the most recent ones in storage and broadcasts them
+ * to open extension pages.
+ * @param {object[]} events - Output of diffStreamEvents().
+ * @param {object} settings - Full settings object, passed on to handlers.
+ */
+async function emitStreamEvents(events, settings){
+    if (!events.length) return;
+    for (const event of events) {
+        const handlers = [...(streamEventHandlers.get(event.type) || []), ...(streamEventHandlers.get('*') || [])];
+        for (const handler of handlers) {
+            try {
+                await handler(event, settings);
+            } catch (e) {
+                console.error(`[Events] Handler for ${event.type} failed:`, e);
+            }
+        }
+        browser.runtime.sendMessage({ action: 'stream_event', event }).catch(() => {}); // no page open
+    }
+
+    // the go-live record is already in streamtime_live; keep the log small
+    const stored = events.map(({ stream, ...rest }) => rest);
+    const recent = (await browser.storage.local.get('streamtime_events')).streamtime_events || [];
+    await browser.storage.local.set({ streamtime_events: stored.reverse().concat(recent).slice(0, RECENT_EVENTS_LIMIT) });
+}
@@ -0,0 +1,127 @@
+// vault.js
+// Optional credential vault, loaded by background.js. With the vault enabled, the credentials in
+// PROVIDER_SECRET_FIELDS (client secrets, refresh tokens and access tokens) are kept neither in
+// storage.local nor in cookies, only in browser.storage.local.streamtime_vault, sealed with the user's
+// passphrase (secret-box.js). The box decrypts to { <platform>: { clientSecret, refreshToken, ... } }.
+//
+// Unlocking derives the key once; the background page keeps it and the decrypted secrets in memory
+// until it is locked again or the browser closes. Other pages use the vault_* runtime messages.
+
+let vaultKey = null;
+let vaultKdf = null; // { salt, iterations } the key was derived with
+let vaultSecrets = null; // decrypted secrets while unlocked
+
+async function readVault(){
+    return (await browser.storage.local.get('streamtime_vault')).streamtime_vault || null;
+}
+
+async function vaultStatus(){
+    const enabled = !!(await readVault());
+    return { enabled, unlocked: enabled && !!vaultSecrets };
+}
+
+function requireUnlockedVault(){
+    if (!vaultSecrets) throw new Error('The vault is locked.');
+}
+
+async function writeVault(){
+    await browser.storage.local.set({ streamtime_vault: await sealWithKey(vaultKey, vaultSecrets, vaultKdf) });
+}
+
+/**
+ * @returns {object} Copy of one platform's secrets; empty while locked.
+ */
+function getVaultSecrets(platform){
+    return Object.assign({}, vaultSecrets?.[platform]);
+}
+
+/**
+ * Moves all stored secrets into a new vault. The plaintext copies are removed only after the
+ * vault has been written.
+ */
+async function enableVault(passphrase){
+    if (await readVault()) throw new Error('The vault is already enabled.');
+    if (!passphrase) throw new Error('Enter a passphrase.');
+
+    const settings = await loadSettings(); // includes the access tokens from cookies
+    const secrets = {};
+    for (const provider of listProviders()) {
+        const found = {};
+        for (const field of PROVIDER_SECRET_FIELDS) if (settings[provider.id]?.[field]) found[field] = settings[provider.id][field];
+        if (Object.keys(found).length) secrets[provider.id] = found;
+    }
+
+    vaultKdf = { salt: crypto.getRandomValues(new Uint8Array(16)), iterations: SECRET_BOX_ITERATIONS };
+    vaultKey = await deriveSecretKey(passphrase, vaultKdf.salt, vaultKdf.iterations);
+    vaultSecrets = secrets;
+    await writeVault();
+
+    const stored = (await browser.storage.local.get('streamtime')).streamtime || {};
+    for (const provider of listProviders()) {
+        for (const field of PROVIDER_SECRET_FIELDS) delete stored[provider.id]?.[field];
+        if (provider.tokenCookie) await removeAccessTokenCookie(provider.tokenCookie.url, provider.tokenCookie.name);
+    }
+    await browser.storage.local.set({ streamtime: stored });
+}
+
+/**
+ * @throws {Error} When the passphrase is wrong.
+ */
+async function unlockVault(passphrase){
+    const box = await readVault();
+    if (!box) throw new Error('The vault is not enabled.');
+    const kdf = { salt: base64ToBytes(box.salt), iterations: Number(box.iterations) };
+    const key = await deriveSecretKey(passphrase || '', kdf.salt, kdf.iterations);
+    vaultSecrets = await openWithKey(key, box);
+    vaultKey = key;
+    vaultKdf = kdf;
+}
+
+function lockVault(){
+    vaultKey = null;
+    vaultKdf = null;
+    vaultSecrets = null;
+}
+
+/**
+ * Puts the secrets back into storage.local and cookies and deletes the vault. Needs it unlocked.
+ */
+async function disableVault(){
+    requireUnlockedVault();
+    const settings = (await browser.storage.local.get('streamtime')).streamtime || {};
+    for (const provider of listProviders()) {
+        const { accessToken, ...stored } = getVaultSecrets(provider.id);
+        settings[provider.id] = Object.assign(settings[provider.id] || {}, stored);
+        if (accessToken && provider.tokenCookie) {
+            const expiresAt = settings[provider.id].tokenExpiresAt;
+            const expiresIn = expiresAt ? Math.floor((new Date(expiresAt).getTime() - Date.now())/1000) : 0;
+            await setAccessTokenCookie(provider.tokenCookie.url, provider.tokenCookie.name, accessToken, expiresIn > 0 ? expiresIn : undefined);
+        }
+    }
+    await browser.storage.local.set({ streamtime: settings });
+    await browser.storage.local.remove('streamtime_vault');
+    lockVault();
+}
+
+// For a forgotten passphrase: drops the vault and the secrets in it
+async function resetVault(){
+    await browser.storage.local.remove('streamtime_vault');
+    lockVault();
+}
+
+/**
+ * Updates some secrets of one platform; empty values remove the field.
+ * @param {string} platform - Provider id.
+ * @param {object} patch - Subset of PROVIDER_SECRET_FIELDS.
+ */
+async function storeVaultSecrets(platform, patch){
+    requireUnlockedVault();
+    const secrets = getVaultSecrets(platform);
+    for (const field of PROVIDER_SECRET_FIELDS) {
+        if (patch[field] === undefined) continue;
+        if (patch[field]) secrets[field] = patch[field];
+        else delete secrets[field];
+    }
+    vaultSecrets[platform] = secrets;
+    await writeVault();
+}